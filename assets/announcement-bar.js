@@ -10,10 +10,24 @@ import { Component } from '@theme/component';
  * @property {HTMLButtonElement} [previous]
  * @property {HTMLButtonElement} [next]
  *
- * @extends {Component<Refs>}
+ * @typedef {object} Props
+ * @property {number | undefined} speed - The time in seconds between slides, autoplay is off without it.
+ * @property {boolean} paused - Whether automatic playback was paused.
+ *
+ * @typedef {object} State
+ * @property {number} current - The index of the current slide, unbounded.
+ *
+ * @extends {Component<Refs, Props, State>}
  */
 export class AnnouncementBar extends Component {
-  #current = 0;
+  static props = {
+    speed: { type: Number, attribute: 'autoplay' },
+    paused: { type: Boolean, reflect: true },
+  };
+
+  static state = {
+    current: 0,
+  };
 
   /**
    * The interval ID for automatic playback.
@@ -32,11 +46,11 @@ export class AnnouncementBar extends Component {
   }
 
   next() {
-    this.current += 1;
+    this.state.current += 1;
   }
 
   previous() {
-    this.current -= 1;
+    this.state.current -= 1;
   }
 
   /**
@@ -46,7 +60,7 @@ export class AnnouncementBar extends Component {
   play(interval = this.autoplayInterval) {
     if (!this.autoplay) return;
 
-    this.paused = false;
+    this.props.paused = false;
 
     this.#interval = setInterval(() => {
       if (this.matches(':hover') || document.hidden) return;
@@ -59,18 +73,10 @@ export class AnnouncementBar extends Component {
    * Pauses automatic slide playback.
    */
   pause() {
-    this.paused = true;
+    this.props.paused = true;
     this.suspend();
   }
 
-  get paused() {
-    return this.hasAttribute('paused');
-  }
-
-  set paused(paused) {
-    this.toggleAttribute('paused', paused);
-  }
-
   /**
    * Suspends automatic slide playback.
    */
@@ -83,7 +89,7 @@ export class AnnouncementBar extends Component {
    * Resumes automatic slide playback if autoplay is enabled.
    */
   resume() {
-    if (!this.autoplay || this.paused) return;
+    if (!this.autoplay || this.props.paused) return;
 
     this.pause();
     this.play();
@@ -94,22 +100,17 @@ export class AnnouncementBar extends Component {
   }
 
   get autoplayInterval() {
-    const interval = this.getAttribute('autoplay');
-    const value = parseInt(`${interval}`, 10);
-
-    if (Number.isNaN(value)) return undefined;
-
-    return value * 1000;
-  }
-
-  get current() {
-    return this.#current;
+    return this.props.speed ? this.props.speed * 1000 : undefined;
   }
 
-  set current(current) {
-    this.#current = current;
+  /**
+   * Shows the current slide.
+   * @param {Map<string, unknown>} changed - The changed props and state.
+   */
+  stateChangedCallback(changed) {
+    if (!changed.has('current')) return;
 
-    let relativeIndex = current % (this.refs.slides ?? []).length;
+    let relativeIndex = this.state.current % (this.refs.slides ?? []).length;
     if (relativeIndex < 0) {
       relativeIndex += (this.refs.slides ?? []).length;
     }
@@ -0,0 +1,273 @@
+import { Component } from '@theme/component';
+import { CartAddEvent, CartErrorEvent, ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { cartStore, CartError, getCartItemsSectionIds } from '@theme/cart-store';
+import { formatMoney } from '@theme/utilities';
+
+/** @typedef {import('./cart-store').CartAddItem} CartAddItem */
+
+/**
+ * A custom element that lets the shopper build a bundle by picking a number of products from a collection.
+ *
+ * Each row keeps its selected variant, price and count in data attributes, so the bundle survives
+ * a re-render of the section. The whole bundle is added in one cart request, and every line is tagged
+ * with the same bundle id so the order shows which items were bought together.
+ *
+ * @typedef {object} BundleBuilderRefs
+ * @property {HTMLLIElement[]} items - The product rows.
+ * @property {HTMLElement} progressLabel - The number of items picked out of the most the bundle can hold.
+ * @property {HTMLProgressElement} progress - The progress towards a full bundle.
+ * @property {HTMLElement} status - The live region describing how many items are left to pick.
+ * @property {HTMLElement} total - The running total of the bundle.
+ * @property {HTMLElement} error - The error message element.
+ * @property {HTMLButtonElement} addButton - The add to cart button.
+ *
+ * @extends {Component<BundleBuilderRefs>}
+ */
+class BundleBuilderComponent extends Component {
+  requiredRefs = ['items', 'progressLabel', 'progress', 'status', 'total', 'error', 'addButton'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.addEventListener(ThemeEvents.variantSelected, this.#stopVariantEvent);
+    this.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener(ThemeEvents.variantSelected, this.#stopVariantEvent);
+    this.removeEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#render();
+  }
+
+  /**
+   * The fewest items the bundle can be added with.
+   * @returns {number}
+   */
+  get minItems() {
+    return Number(this.dataset.minItems) || 1;
+  }
+
+  /**
+   * The most items the bundle can hold.
+   * @returns {number}
+   */
+  get maxItems() {
+    return Math.max(Number(this.dataset.maxItems) || this.minItems, this.minItems);
+  }
+
+  /**
+   * The number of items picked so far.
+   * @returns {number}
+   */
+  get itemCount() {
+    return this.refs.items.reduce((total, row) => total + this.#getCount(row), 0);
+  }
+
+  /**
+   * Adds or removes one item of a product.
+   * @param {number} delta - 1 to add an item, -1 to remove one.
+   * @param {MouseEvent} event - The click event.
+   */
+  changeCount(delta, event) {
+    const row = event.target instanceof Element ? event.target.closest('.bundle-builder__item') : null;
+    if (!(row instanceof HTMLLIElement)) return;
+
+    const count = this.#getCount(row);
+    const room = this.maxItems - this.itemCount;
+
+    if (delta > 0 && (room <= 0 || row.dataset.available !== 'true')) return;
+
+    this.#setCount(row, Math.max(count + Math.min(delta, room), 0));
+    this.#showError('');
+    this.#render();
+  }
+
+  /**
+   * Updates a row when its variant is picked from a drop-down.
+   * @param {Event} event - The change event.
+   */
+  selectVariant(event) {
+    const select = event.target;
+    if (!(select instanceof HTMLSelectElement)) return;
+
+    const row = select.closest('.bundle-builder__item');
+    const option = select.selectedOptions[0];
+    if (!(row instanceof HTMLLIElement) || !option) return;
+
+    this.#setVariant(row, option.value, Number(option.dataset.price), !option.disabled);
+  }
+
+  /**
+   * Adds the bundle to the cart.
+   */
+  async addToCart() {
+    const { addButton } = this.refs;
+    const { itemCount } = this;
+
+    if (itemCount < this.minItems || itemCount > this.maxItems) return;
+
+    const bundleId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    /** @type {CartAddItem[]} */
+    const items = [];
+
+    for (const row of this.refs.items) {
+      const quantity = this.#getCount(row);
+      if (!quantity || !row.dataset.variantId) continue;
+
+      items.push({
+        id: row.dataset.variantId,
+        quantity,
+        properties: { Bundle: this.dataset.bundleName ?? '', _bundle_id: bundleId },
+      });
+    }
+
+    const variantId = items.map(({ id }) => id).join(',');
+
+    this.#showError('');
+    addButton.disabled = true;
+
+    try {
+      const response = await cartStore.add({ items }, { sections: getCartItemsSectionIds() });
+
+      this.dispatchEvent(
+        new CartAddEvent({}, variantId, {
+          source: 'bundle-builder-component',
+          itemCount,
+          variantId,
+          sections: response.sections,
+        })
+      );
+
+      // Start a new bundle
+      for (const row of this.refs.items) this.#setCount(row, 0);
+    } catch (error) {
+      if (error instanceof CartError) {
+        this.dispatchEvent(new CartErrorEvent(this.id, error.message, error.description, error.errors));
+        this.#showError(error.message);
+      } else {
+        console.error(error);
+      }
+    } finally {
+      this.#render();
+    }
+  }
+
+  /**
+   * Keeps the variant pickers of the rows from updating other product components on the page.
+   * @param {Event} event - The variant event.
+   */
+  #stopVariantEvent = (event) => {
+    event.stopPropagation();
+  };
+
+  /**
+   * Updates a row when its variant is picked from the swatches.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    this.#stopVariantEvent(event);
+
+    const row = event.target instanceof Element ? event.target.closest('.bundle-builder__item') : null;
+    if (!(row instanceof HTMLLIElement)) return;
+
+    const variant = event.detail.resource;
+
+    this.#setVariant(row, variant ? String(variant.id) : '', variant?.price ?? 0, Boolean(variant?.available));
+  };
+
+  /**
+   * Sets the variant of a row. An unavailable variant can't be part of the bundle, so its items are removed.
+   * @param {HTMLLIElement} row - The product row.
+   * @param {string} variantId - The variant id, or an empty string when the options don't match a variant.
+   * @param {number} price - The price of the variant, in cents.
+   * @param {boolean} available - Whether the variant can be added to the cart.
+   */
+  #setVariant(row, variantId, price, available) {
+    row.dataset.variantId = variantId;
+    row.dataset.available = String(available && Boolean(variantId));
+
+    if (variantId) row.dataset.price = String(price);
+    if (row.dataset.available !== 'true') this.#setCount(row, 0);
+
+    const priceElement = row.querySelector('.bundle-builder__price');
+    if (priceElement) priceElement.textContent = formatMoney(Number(row.dataset.price), this.dataset.currency);
+
+    this.#render();
+  }
+
+  /**
+   * @param {HTMLLIElement} row - The product row.
+   * @returns {number} The number of items picked from the row.
+   */
+  #getCount(row) {
+    return Number(row.dataset.count) || 0;
+  }
+
+  /**
+   * @param {HTMLLIElement} row - The product row.
+   * @param {number} count - The number of items picked from the row.
+   */
+  #setCount(row, count) {
+    row.dataset.count = String(count);
+
+    const countElement = row.querySelector('.bundle-builder__count');
+    if (countElement) countElement.textContent = String(count);
+  }
+
+  /**
+   * Renders the progress, total and buttons for the items picked so far.
+   */
+  #render() {
+    const { items, progressLabel, progress, status, total, addButton } = this.refs;
+    const { itemCount, minItems, maxItems } = this;
+    const isFull = itemCount >= maxItems;
+    let totalPrice = 0;
+
+    for (const row of items) {
+      const count = this.#getCount(row);
+      totalPrice += count * (Number(row.dataset.price) || 0);
+
+      const [decrease, increase] = row.querySelectorAll('.bundle-builder__count-button');
+      if (decrease instanceof HTMLButtonElement) decrease.disabled = count === 0;
+      if (increase instanceof HTMLButtonElement) increase.disabled = isFull || row.dataset.available !== 'true';
+    }
+
+    progress.max = maxItems;
+    progress.value = itemCount;
+    progressLabel.textContent = (this.dataset.progressTemplate ?? '').replace('[count]', String(itemCount));
+    total.textContent = formatMoney(totalPrice, this.dataset.currency);
+    addButton.disabled = itemCount < minItems;
+
+    const text =
+      itemCount < minItems
+        ? (this.dataset.remainingTemplate ?? '').replace('[count]', String(minItems - itemCount))
+        : ((isFull ? this.dataset.fullMessage : this.dataset.readyMessage) ?? '');
+
+    // Only touch the live region when the message changes, so it isn't announced again
+    if (status.textContent?.trim() !== text) status.textContent = text;
+  }
+
+  /**
+   * Shows an error message, or hides it when the message is empty.
+   * @param {string} message - The error message.
+   */
+  #showError(message) {
+    const { error } = this.refs;
+
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+  }
+}
+
+if (!customElements.get('bundle-builder-component')) {
+  customElements.define('bundle-builder-component', BundleBuilderComponent);
+}
@@ -0,0 +1,164 @@
+import { Component } from '@theme/component';
+import { cartStore, CartError } from '@theme/cart-store';
+import { cartPerformance } from '@theme/performance';
+import { debounce, formatDateInputValue, setDateConstraints } from '@theme/utilities';
+
+/**
+ * A custom element that saves its fields as cart attributes.
+ *
+ * Fields are named `attributes[Name]` and belong to the cart form, so they're also submitted with the checkout.
+ * The delivery date field reads its constraints from data attributes:
+ * - `data-lead-days`: the number of days needed to prepare an order.
+ * - `data-max-days`: the number of days from today to the latest date.
+ * - `data-cutoff-time`: the time of day (HH:MM) after which orders are prepared the next day, in the shopper's time zone.
+ * - `data-blocked-dates`: the dates (YYYY-MM-DD) without delivery, separated by commas or new lines.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLInputElement} [deliveryDate] - The delivery date field.
+ * @property {HTMLElement} error - The error message element.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartAttributesComponent extends Component {
+  requiredRefs = ['error'];
+
+  /** @type {AbortController | null} */
+  #activeFetch = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#setDeliveryDateConstraints();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#setDeliveryDateConstraints();
+  }
+
+  /**
+   * Saves the fields as cart attributes.
+   * @param {Event} event - The input or change event of a field.
+   */
+  updateAttributes = debounce(async (event) => {
+    const attributes = this.#getAttributes(event.target);
+    if (!Object.keys(attributes).length) return;
+
+    if (this.#activeFetch) {
+      this.#activeFetch.abort();
+    }
+
+    const abortController = new AbortController();
+    this.#activeFetch = abortController;
+    this.#showError('');
+
+    try {
+      await cartStore.update({ attributes }, { signal: abortController.signal });
+    } catch (error) {
+      if (abortController.signal.aborted) return;
+
+      this.#showError(error instanceof CartError ? error.message : (this.dataset.errorMessage ?? ''));
+    } finally {
+      if (this.#activeFetch === abortController) this.#activeFetch = null;
+      cartPerformance.measureFromEvent('attributes-update:user-action', event);
+    }
+  }, 300);
+
+  /**
+   * Reads the attributes from the valid fields.
+   * @param {EventTarget | null} target - The field that changed, which reports its errors.
+   * @returns {Record<string, string>} The attributes.
+   */
+  #getAttributes(target) {
+    /** @type {Record<string, string>} */
+    const attributes = {};
+
+    for (const field of this.querySelectorAll('input[name^="attributes["], textarea[name^="attributes["]')) {
+      if (!(field instanceof HTMLInputElement || field instanceof HTMLTextAreaElement)) continue;
+
+      this.#validateDeliveryDate(field);
+
+      // An invalid field keeps its last saved value
+      if (!field.checkValidity()) {
+        if (field === target) field.reportValidity();
+        continue;
+      }
+
+      const name = field.name.slice('attributes['.length, -1);
+
+      // Blank attributes are removed from the cart
+      if (field instanceof HTMLInputElement && field.type === 'checkbox') {
+        attributes[name] = field.checked ? field.value : '';
+      } else {
+        attributes[name] = field.value.trim();
+      }
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Restricts the delivery date to the days orders can be delivered on.
+   */
+  #setDeliveryDateConstraints() {
+    const { deliveryDate } = this.refs;
+    if (!deliveryDate) return;
+
+    const { leadDays, maxDays, cutoffTime } = deliveryDate.dataset;
+    const blockedDates = this.#getBlockedDates(deliveryDate);
+    let minDays = Number(leadDays) || 0;
+
+    const [, hours, minutes] = cutoffTime?.match(/^(\d{1,2}):(\d{2})$/) ?? [];
+    if (hours && minutes) {
+      const cutoff = new Date();
+      cutoff.setHours(Number(hours), Number(minutes), 0, 0);
+      if (Date.now() >= cutoff.getTime()) minDays += 1;
+    }
+
+    const { min, max } = setDateConstraints(deliveryDate, { minDays, maxDays: Number(maxDays) || 90 });
+
+    // The earliest date can't be a blocked one
+    while (blockedDates.has(formatDateInputValue(min)) && min < max) {
+      min.setDate(min.getDate() + 1);
+    }
+    deliveryDate.min = formatDateInputValue(min);
+
+    this.#validateDeliveryDate(deliveryDate);
+  }
+
+  /**
+   * Flags the delivery date as invalid when it's a blocked date.
+   * @param {HTMLInputElement | HTMLTextAreaElement} field - A field.
+   */
+  #validateDeliveryDate(field) {
+    if (field !== this.refs.deliveryDate) return;
+
+    const blocked = this.#getBlockedDates(field).has(field.value);
+    field.setCustomValidity(blocked ? (field.dataset.blockedDateError ?? '') : '');
+  }
+
+  /**
+   * Gets the dates without delivery.
+   * @param {HTMLElement} field - The delivery date field.
+   * @returns {Set<string>} The blocked dates, formatted as YYYY-MM-DD.
+   */
+  #getBlockedDates(field) {
+    return new Set((field.dataset.blockedDates ?? '').split(/[\s,]+/).filter(Boolean));
+  }
+
+  /**
+   * Shows an error message, or hides it when the message is empty.
+   * @param {string} message - The error message.
+   */
+  #showError(message) {
+    const { error } = this.refs;
+
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+  }
+}
+
+if (!customElements.get('cart-attributes-component')) {
+  customElements.define('cart-attributes-component', CartAttributesComponent);
+}
@@ -1,9 +1,19 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
 import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
+import { cartStore } from '@theme/cart-store';
 import { cartPerformance } from '@theme/performance';
 
+/**
+ * The status of a discount code entered on the cart:
+ * - `applied`: the code discounts the cart.
+ * - `not_applicable`: the code doesn't exist, has expired or its conditions aren't met.
+ * - `not_combinable`: the code is valid, but doesn't combine with the codes that are applied.
+ * - `shipping`: the code is valid and nothing else is applied, so it discounts shipping at checkout.
+ *
+ * @typedef {'applied' | 'not_applicable' | 'not_combinable' | 'shipping'} DiscountCodeStatus
+ */
+
 /**
  * A custom element that applies a discount to the cart.
  *
@@ -11,17 +21,55 @@ import { cartPerformance } from '@theme/performance';
  * @property {HTMLElement} cartDiscountError - The error element.
  * @property {HTMLElement} cartDiscountErrorDiscountCode - The discount code error element.
  * @property {HTMLElement} cartDiscountErrorShipping - The shipping error element.
+ * @property {HTMLElement} cartDiscountErrorCombination - The combination error element.
+ * @property {HTMLUListElement} discountCodes - The list of discount codes.
+ * @property {HTMLTemplateElement} discountStatusTemplate - The template of a code that isn't applied.
  */
 
 /**
  * @extends {Component<CartDiscountComponentRefs>}
  */
 class CartDiscount extends Component {
-  requiredRefs = ['cartDiscountError', 'cartDiscountErrorDiscountCode', 'cartDiscountErrorShipping'];
+  requiredRefs = [
+    'cartDiscountError',
+    'cartDiscountErrorDiscountCode',
+    'cartDiscountErrorShipping',
+    'cartDiscountErrorCombination',
+    'discountCodes',
+    'discountStatusTemplate',
+  ];
 
   /** @type {AbortController | null} */
   #activeFetch = null;
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribeFromCart;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#unsubscribeFromCart = cartStore.subscribe(this.#renderStatuses);
+
+    if (cartStore.cart) {
+      this.#renderStatuses();
+    } else {
+      cartStore.refresh().catch(() => {});
+    }
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The server only renders the applied codes
+    this.#renderStatuses();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribeFromCart?.();
+  }
+
   #createAbortController() {
     if (this.#activeFetch) {
       this.#activeFetch.abort();
@@ -37,7 +85,12 @@ class CartDiscount extends Component {
    * @param {SubmitEvent} event - The submit event on our form.
    */
   applyDiscount = async (event) => {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
+    const {
+      cartDiscountError,
+      cartDiscountErrorDiscountCode,
+      cartDiscountErrorShipping,
+      cartDiscountErrorCombination,
+    } = this.refs;
 
     event.preventDefault();
     event.stopPropagation();
@@ -54,62 +107,36 @@ class CartDiscount extends Component {
 
     try {
       const existingDiscounts = this.#existingDiscounts();
-      if (existingDiscounts.includes(discountCodeValue)) return;
+      if (existingDiscounts.some((code) => isSameCode(code, discountCodeValue))) return;
 
       cartDiscountError.classList.add('hidden');
       cartDiscountErrorDiscountCode.classList.add('hidden');
       cartDiscountErrorShipping.classList.add('hidden');
+      cartDiscountErrorCombination.classList.add('hidden');
 
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
-          discount: [...existingDiscounts, discountCodeValue].join(','),
-          sections: [this.dataset.sectionId],
-        }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
-
-      if (
-        data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-          return discount.code === discountCodeValue && discount.applicable === false;
-        })
-      ) {
-        discountCode.value = '';
-        this.#handleDiscountError('discount_code');
-        return;
-      }
+      const data = await cartStore.update(
+        { discount: [...existingDiscounts, discountCodeValue].join(',') },
+        { sections: [this.dataset.sectionId], signal: abortController.signal }
+      );
 
-      const newHtml = data.sections[this.dataset.sectionId];
+      const newHtml = data.sections?.[this.dataset.sectionId] ?? '';
       const parsedHtml = new DOMParser().parseFromString(newHtml, 'text/html');
       const section = parsedHtml.getElementById(`shopify-section-${this.dataset.sectionId}`);
-      const discountCodes = section?.querySelectorAll('.cart-discount__pill') || [];
-      if (section) {
-        const codes = Array.from(discountCodes)
-          .map((element) => (element instanceof HTMLLIElement ? element.dataset.discountCode : null))
-          .filter(Boolean);
-        // Before morphing, we need to check if the shipping discount is applicable in the UI
-        // we check the liquid logic compared to the cart payload to assess whether we leveraged
-        // a valid shipping discount code.
-        if (
-          codes.length === existingDiscounts.length &&
-          codes.every((/** @type {string} */ code) => existingDiscounts.includes(code)) &&
-          data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-            return discount.code === discountCodeValue && discount.applicable === true;
-          })
-        ) {
-          this.#handleDiscountError('shipping');
-          discountCode.value = '';
-          return;
-        }
-      }
+
+      // The server markup lists the codes that actually discount the cart, the payload tells whether the others are valid
+      const status = section
+        ? getDiscountCodeStatuses(data.discount_codes ?? [], getAppliedCodes(section)).find(({ code }) =>
+            isSameCode(code, discountCodeValue)
+          )?.status
+        : undefined;
 
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, newHtml);
+      await morphSection(this.dataset.sectionId, newHtml);
+
+      if (status && status !== 'applied') {
+        discountCode.value = '';
+        this.#handleDiscountError(status);
+      }
     } catch (error) {
     } finally {
       this.#activeFetch = null;
@@ -134,14 +161,14 @@ class CartDiscount extends Component {
       return;
     }
 
-    const pill = event.target.closest('.cart-discount__pill');
+    const pill = event.target.closest('[data-discount-code]');
     if (!(pill instanceof HTMLLIElement)) return;
 
     const discountCode = pill.dataset.discountCode;
     if (!discountCode) return;
 
     const existingDiscounts = this.#existingDiscounts();
-    const index = existingDiscounts.indexOf(discountCode);
+    const index = existingDiscounts.findIndex((code) => isSameCode(code, discountCode));
     if (index === -1) return;
 
     existingDiscounts.splice(index, 1);
@@ -149,19 +176,13 @@ class CartDiscount extends Component {
     const abortController = this.#createAbortController();
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
+      const data = await cartStore.update(
+        { discount: existingDiscounts.join(',') },
+        { sections: [this.dataset.sectionId], signal: abortController.signal }
+      );
 
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
+      morphSection(this.dataset.sectionId, data.sections?.[this.dataset.sectionId] ?? '');
     } catch (error) {
     } finally {
       this.#activeFetch = null;
@@ -171,31 +192,145 @@ class CartDiscount extends Component {
   /**
    * Handles the discount error.
    *
-   * @param {'discount_code' | 'shipping'} type - The type of discount error.
+   * @param {Exclude<DiscountCodeStatus, 'applied'>} status - The status of the code that was entered.
    */
-  #handleDiscountError(type) {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-    const target = type === 'discount_code' ? cartDiscountErrorDiscountCode : cartDiscountErrorShipping;
+  #handleDiscountError(status) {
+    const {
+      cartDiscountError,
+      cartDiscountErrorDiscountCode,
+      cartDiscountErrorShipping,
+      cartDiscountErrorCombination,
+    } = this.refs;
+    const targets = {
+      not_applicable: cartDiscountErrorDiscountCode,
+      shipping: cartDiscountErrorShipping,
+      not_combinable: cartDiscountErrorCombination,
+    };
     cartDiscountError.classList.remove('hidden');
-    target.classList.remove('hidden');
+    targets[status].classList.remove('hidden');
+  }
+
+  /**
+   * Lists the codes that don't discount the cart under the applied ones, with the reason why.
+   */
+  #renderStatuses = () => {
+    const { discountCodes, discountStatusTemplate } = this.refs;
+    const discountCodesPayload = cartStore.cart?.discount_codes;
+
+    for (const row of discountCodes.querySelectorAll('.cart-discount__status')) {
+      row.remove();
+    }
+
+    if (!discountCodesPayload) return;
+
+    const appliedCodes = getAppliedCodes(this);
+
+    for (const { code, status } of getDiscountCodeStatuses(discountCodesPayload, appliedCodes)) {
+      // Applied codes are rendered by the server
+      if (status === 'applied') continue;
+
+      const fragment = /** @type {DocumentFragment} */ (discountStatusTemplate.content.cloneNode(true));
+      const row = fragment.querySelector('li');
+      const codeElement = fragment.querySelector('.cart-discount__status-code');
+      const message = fragment.querySelector('.cart-discount__status-message');
+      const removeButton = fragment.querySelector('button');
+
+      if (!row) continue;
+
+      row.dataset.discountCode = code;
+      row.classList.add(`cart-discount__status--${status.replace('_', '-')}`);
+      if (codeElement) codeElement.textContent = code;
+      if (message) message.textContent = this.#getStatusMessage(status, appliedCodes);
+      removeButton?.setAttribute('aria-label', (this.dataset.removeLabel ?? '').replace('[code]', code));
+
+      discountCodes.append(fragment);
+    }
+  };
+
+  /**
+   * Explains why a code doesn't discount the cart.
+   * @param {Exclude<DiscountCodeStatus, 'applied'>} status - The status of the code.
+   * @param {string[]} appliedCodes - The codes that discount the cart.
+   * @returns {string}
+   */
+  #getStatusMessage(status, appliedCodes) {
+    const { statusNotApplicable = '', statusShipping = '', statusNotCombinable = '' } = this.dataset;
+
+    switch (status) {
+      case 'not_applicable':
+        return statusNotApplicable;
+      case 'shipping':
+        return statusShipping;
+      case 'not_combinable':
+        return statusNotCombinable.replace('[codes]', appliedCodes.join(', '));
+    }
   }
 
   /**
-   * Returns an array of existing discount codes.
+   * Returns an array of the discount codes entered on the cart, applied or not.
    * @returns {string[]}
    */
   #existingDiscounts() {
-    /** @type {string[]} */
-    const discountCodes = [];
-    const discountPills = this.querySelectorAll('.cart-discount__pill');
-    for (const pill of discountPills) {
-      if (pill instanceof HTMLLIElement && typeof pill.dataset.discountCode === 'string') {
-        discountCodes.push(pill.dataset.discountCode);
-      }
-    }
+    const discountCodesPayload = cartStore.cart?.discount_codes;
+    if (discountCodesPayload) return discountCodesPayload.map(({ code }) => code);
+
+    return getAppliedCodes(this);
+  }
+}
 
-    return discountCodes;
+/**
+ * Gets the codes rendered as applied by the server.
+ * @param {ParentNode} root - The element containing the discount pills.
+ * @returns {string[]}
+ */
+function getAppliedCodes(root) {
+  /** @type {string[]} */
+  const discountCodes = [];
+  const discountPills = root.querySelectorAll('.cart-discount__pill');
+  for (const pill of discountPills) {
+    if (pill instanceof HTMLLIElement && typeof pill.dataset.discountCode === 'string') {
+      discountCodes.push(pill.dataset.discountCode);
+    }
   }
+
+  return discountCodes;
+}
+
+/**
+ * Works out the status of every code entered on the cart.
+ *
+ * The cart payload only tells whether a code is valid for the cart. A valid code that the server doesn't
+ * render as applied was either left out by the combination rules of the applied codes, or discounts shipping,
+ * which is only calculated at checkout.
+ * @param {{ code: string, applicable: boolean }[]} discountCodesPayload - The `discount_codes` of the cart.
+ * @param {string[]} appliedCodes - The codes rendered as applied by the server.
+ * @returns {{ code: string, status: DiscountCodeStatus }[]}
+ */
+function getDiscountCodeStatuses(discountCodesPayload, appliedCodes) {
+  return discountCodesPayload.map(({ code, applicable }) => {
+    /** @type {DiscountCodeStatus} */
+    let status = 'shipping';
+
+    if (!applicable) {
+      status = 'not_applicable';
+    } else if (appliedCodes.some((appliedCode) => isSameCode(appliedCode, code))) {
+      status = 'applied';
+    } else if (appliedCodes.length > 0) {
+      status = 'not_combinable';
+    }
+
+    return { code, status };
+  });
+}
+
+/**
+ * Discount codes aren't case sensitive.
+ * @param {string} a - A discount code.
+ * @param {string} b - Another discount code.
+ * @returns {boolean}
+ */
+function isSameCode(a, b) {
+  return a.toUpperCase() === b.toUpperCase();
 }
 
 if (!customElements.get('cart-discount-component')) {
@@ -17,7 +17,13 @@ class CartDrawerComponent extends DialogComponent {
     document.removeEventListener(CartAddEvent.eventName, this.#handleCartAdd);
   }
 
-  #handleCartAdd = () => {
+  /**
+   * @param {CartAddEvent} event
+   */
+  #handleCartAdd = (event) => {
+    // Changes made in another tab shouldn't open the drawer of this one
+    if (event.detail.data?.source === 'cart-sync') return;
+
     if (this.hasAttribute('auto-open')) {
       this.showDialog();
     }
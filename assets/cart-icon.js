@@ -1,6 +1,7 @@
 import { Component } from '@theme/component';
 import { onAnimationEnd } from '@theme/utilities';
-import { ThemeEvents, CartUpdateEvent } from '@theme/events';
+import { ThemeEvents, CartUpdateEvent, CartQueueUpdateEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
 
 /**
  * A custom element that displays a cart icon.
@@ -9,12 +10,16 @@ import { ThemeEvents, CartUpdateEvent } from '@theme/events';
  * @property {HTMLElement} cartBubble - The cart bubble element.
  * @property {HTMLElement} cartBubbleText - The cart bubble text element.
  * @property {HTMLElement} cartBubbleCount - The cart bubble count element.
+ * @property {HTMLElement} [cartPendingStatus] - Announces cart changes waiting for the connection to come back.
  *
  * @extends {Component<Refs>}
  */
 class CartIcon extends Component {
   requiredRefs = ['cartBubble', 'cartBubbleText', 'cartBubbleCount'];
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribeFromCart;
+
   /** @type {number} */
   get currentCartCount() {
     return parseInt(this.refs.cartBubbleCount.textContent ?? '0', 10);
@@ -28,13 +33,18 @@ class CartIcon extends Component {
     super.connectedCallback();
 
     document.addEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    document.addEventListener(ThemeEvents.cartQueueUpdate, this.#onCartQueueUpdate);
+    this.#unsubscribeFromCart = cartStore.subscribe(this.#onCartChange);
     this.ensureCartBubbleIsCorrect();
+    this.#renderPendingState(cartStore.pendingMutations);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    document.removeEventListener(ThemeEvents.cartQueueUpdate, this.#onCartQueueUpdate);
+    this.#unsubscribeFromCart?.();
   }
 
   /**
@@ -42,12 +52,52 @@ class CartIcon extends Component {
    * @param {CartUpdateEvent} event - The cart update event.
    */
   onCartUpdate = async (event) => {
+    // The store already holds the resulting cart, so its count is exact
+    if (cartStore.cart) {
+      this.renderCartBubble(cartStore.cart.item_count, false);
+      return;
+    }
+
     const itemCount = event.detail.data?.itemCount ?? 0;
     const comingFromProductForm = event.detail.data?.source === 'product-form-component';
 
     this.renderCartBubble(itemCount, comingFromProductForm);
   };
 
+  /**
+   * Keeps the count in sync with the stored cart, including optimistic changes and their rollback.
+   * @param {import('./cart-store').Cart} cart - The stored cart.
+   */
+  #onCartChange = (cart) => {
+    if (cart.item_count === this.currentCartCount) return;
+
+    this.renderCartBubble(cart.item_count, false);
+  };
+
+  /**
+   * Handles the offline cart queue update event.
+   * @param {CartQueueUpdateEvent} event - The cart queue update event.
+   */
+  #onCartQueueUpdate = (event) => {
+    this.#renderPendingState(event.detail.pending);
+  };
+
+  /**
+   * Shows whether some cart changes are waiting for the connection to come back.
+   * @param {number} pending - The number of waiting cart changes.
+   */
+  #renderPendingState(pending) {
+    const isPending = pending > 0;
+    const { cartPendingStatus } = this.refs;
+
+    this.classList.toggle('header-actions__cart-icon--pending', isPending);
+
+    if (!cartPendingStatus) return;
+
+    const message = isPending ? (Theme.translations.cart_pending_offline ?? '') : '';
+    if (cartPendingStatus.textContent !== message) cartPendingStatus.textContent = message;
+  }
+
   /**
    * Renders the cart bubble.
    * @param {number} itemCount - The number of items in the cart.
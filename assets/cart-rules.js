@@ -0,0 +1,327 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart-store';
+import { ThemeEvents } from '@theme/events';
+import { formatMoney, onDocumentLoaded } from '@theme/utilities';
+
+/** @typedef {import('./cart-store').Cart} Cart */
+/** @typedef {import('./cart-store').CartItem} CartItem */
+
+/**
+ * The parts of the cart the rules are checked against.
+ * @typedef {Pick<Cart, 'item_count' | 'items_subtotal_price' | 'currency'> & {
+ *   items: Pick<CartItem, 'product_id' | 'product_title' | 'quantity'>[]
+ * }} CartRulesCart
+ */
+
+/**
+ * @typedef {Object} ProductRule
+ * @property {number} [minimum] - The minimum quantity of the product in the cart, all variants included.
+ * @property {number} [multiple] - The case pack size the quantity of the product must be a multiple of.
+ */
+
+/**
+ * @typedef {Object} CartRulesConfig
+ * @property {number} minimumSubtotal - The minimum subtotal of the cart in the store currency, in cents.
+ * @property {Record<string, ProductRule>} products - The rules of the products, keyed by product id.
+ * @property {CartRulesCart} [cart] - The cart when the page was rendered.
+ */
+
+/**
+ * @typedef {Object} CartRuleViolation
+ * @property {'minimum_subtotal' | 'minimum_quantity' | 'multiple'} rule - The rule that isn't met.
+ * @property {string} message - Explains what to change to meet the rule.
+ * @property {number} [productId] - The product the rule applies to, if any.
+ */
+
+/**
+ * @typedef {Object} CartRulesState
+ * @property {boolean} valid - Whether the cart can be checked out.
+ * @property {CartRuleViolation[]} violations - The rules that aren't met.
+ */
+
+/** @typedef {(state: CartRulesState) => void} CartRulesSubscriber */
+
+/**
+ * Validates the cart against the order rules declared by the theme.
+ *
+ * The cart minimum comes from the `cart-rules-config` script. Product rules come from that script for the
+ * products in the cart when the page was rendered, and from any element declaring them with
+ * `data-cart-rules-product-id`, `data-cart-rules-minimum` and `data-cart-rules-multiple`.
+ *
+ * The cart is first validated as rendered in the config, then again on every cart update. Since the product rules
+ * of newly added products are only on the page once the cart sections are rendered again, the cart is validated
+ * once more after that with `revalidate`.
+ *
+ * These rules are enforced in the browser only, checkout isn't aware of them: a shopper can still reach checkout
+ * through a direct link, a buy button from an app or with JavaScript disabled. Rules that must be met need a checkout
+ * validation function, which a theme can't provide.
+ */
+class CartRules {
+  /** @type {CartRulesState} */
+  #state = { valid: true, violations: [] };
+
+  /** @type {Set<CartRulesSubscriber>} */
+  #subscribers = new Set();
+
+  /**
+   * The product rules seen on the page, kept when the elements declaring them are re-rendered.
+   * @type {Map<string, ProductRule>}
+   */
+  #productRules = new Map();
+
+  constructor() {
+    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#onCartUpdate);
+    onDocumentLoaded(() => {
+      const { cart } = this.#collectProductRules();
+
+      if (cart) this.validate(cartStore.cart ?? cart);
+    });
+  }
+
+  /**
+   * The result of the last validation.
+   * @returns {CartRulesState}
+   */
+  get state() {
+    return this.#state;
+  }
+
+  /**
+   * Subscribes to the validation results.
+   * @param {CartRulesSubscriber} callback - Called with the state after every validation.
+   * @returns {() => void} A function to unsubscribe.
+   */
+  subscribe(callback) {
+    this.#subscribers.add(callback);
+
+    return () => {
+      this.#subscribers.delete(callback);
+    };
+  }
+
+  /**
+   * Gets the rule of a product.
+   * @param {number | string} productId - The product id.
+   * @returns {ProductRule | undefined}
+   */
+  getProductRule(productId) {
+    this.#collectProductRules();
+
+    return this.#productRules.get(String(productId));
+  }
+
+  /**
+   * Gets the rules a product doesn't meet in the cart.
+   * @param {number | string} productId - The product id.
+   * @returns {CartRuleViolation[]}
+   */
+  getProductViolations(productId) {
+    return this.#state.violations.filter((violation) => String(violation.productId) === String(productId));
+  }
+
+  /**
+   * Validates the last known cart again, with the product rules currently on the page.
+   */
+  revalidate() {
+    if (cartStore.cart) this.validate(cartStore.cart);
+  }
+
+  /**
+   * Validates a cart and notifies subscribers.
+   * @param {CartRulesCart} cart - The cart.
+   * @returns {CartRulesState}
+   */
+  validate(cart) {
+    const { minimumSubtotal } = this.#collectProductRules();
+    const translations = Theme.translations;
+
+    /** @type {CartRuleViolation[]} */
+    const violations = [];
+
+    // An empty cart can't be checked out anyway
+    if (cart.item_count > 0) {
+      const minimum = Math.round(minimumSubtotal * Number(Shopify.currency.rate || 1));
+
+      if (minimum > 0 && cart.items_subtotal_price < minimum) {
+        violations.push({
+          rule: 'minimum_subtotal',
+          message: (translations.cart_rule_minimum_subtotal ?? '')
+            .replace('[minimum]', formatMoney(minimum, cart.currency))
+            .replace('[amount]', formatMoney(minimum - cart.items_subtotal_price, cart.currency)),
+        });
+      }
+
+      /** @type {Map<number, { title: string, quantity: number }>} */
+      const products = new Map();
+      for (const item of cart.items) {
+        const product = products.get(item.product_id) ?? { title: item.product_title, quantity: 0 };
+        product.quantity += item.quantity;
+        products.set(item.product_id, product);
+      }
+
+      for (const [productId, { title, quantity }] of products) {
+        const { minimum = 0, multiple = 0 } = this.#productRules.get(String(productId)) ?? {};
+
+        if (minimum > 0 && quantity < minimum) {
+          violations.push({
+            rule: 'minimum_quantity',
+            productId,
+            message: (translations.cart_rule_minimum_quantity ?? '')
+              .replace('[product]', title)
+              .replace('[minimum]', String(minimum)),
+          });
+        }
+
+        if (multiple > 1 && quantity % multiple !== 0) {
+          violations.push({
+            rule: 'multiple',
+            productId,
+            message: (translations.cart_rule_multiple ?? '')
+              .replace('[product]', title)
+              .replace('[multiple]', String(multiple)),
+          });
+        }
+      }
+    }
+
+    this.#state = { valid: violations.length === 0, violations };
+
+    for (const subscriber of this.#subscribers) {
+      subscriber(this.#state);
+    }
+
+    return this.#state;
+  }
+
+  #onCartUpdate = async () => {
+    try {
+      this.validate(cartStore.cart ?? (await cartStore.refresh()));
+    } catch (error) {
+      console.warn('Unable to validate the cart rules', error);
+    }
+  };
+
+  /**
+   * Reads the rules declared on the page.
+   * @returns {CartRulesConfig} The config script, with the product rules merged into the known ones.
+   */
+  #collectProductRules() {
+    /** @type {CartRulesConfig} */
+    let config = { minimumSubtotal: 0, products: {} };
+
+    try {
+      const script = document.getElementById('cart-rules-config');
+      if (script?.textContent) config = { ...config, ...JSON.parse(script.textContent) };
+    } catch (error) {
+      console.warn('Invalid cart rules config', error);
+    }
+
+    for (const [productId, rule] of Object.entries(config.products)) {
+      this.#productRules.set(productId, rule);
+    }
+
+    for (const element of document.querySelectorAll('[data-cart-rules-product-id]')) {
+      if (!(element instanceof HTMLElement)) continue;
+
+      const { cartRulesProductId = '', cartRulesMinimum, cartRulesMultiple } = element.dataset;
+
+      this.#productRules.set(cartRulesProductId, {
+        minimum: Number(cartRulesMinimum) || 0,
+        multiple: Number(cartRulesMultiple) || 0,
+      });
+    }
+
+    return config;
+  }
+}
+
+export const cartRules = new CartRules();
+
+/**
+ * A custom element that keeps the checkout buttons disabled, with the reasons why, while the cart rules aren't met.
+ *
+ * @typedef {object} CartRulesRefs
+ * @property {HTMLElement} messages - The list of rules that aren't met.
+ *
+ * @extends {Component<CartRulesRefs>}
+ */
+class CartRulesComponent extends Component {
+  requiredRefs = ['messages'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribeFromRules;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#unsubscribeFromRules = cartRules.subscribe(this.#render);
+    this.#render(cartRules.state);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The cart section was rendered again, maybe with the rules of newly added products
+    cartRules.revalidate();
+
+    // The server renders the buttons enabled
+    this.#render(cartRules.state);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribeFromRules?.();
+  }
+
+  /**
+   * Renders the rules that aren't met and disables the checkout buttons until they are.
+   * @param {CartRulesState} state - The cart rules state.
+   */
+  #render = ({ valid, violations }) => {
+    const { messages } = this.refs;
+
+    for (const button of this.querySelectorAll('button[name="checkout"]')) {
+      if (!(button instanceof HTMLButtonElement)) continue;
+
+      // Keep the disabled state of the empty cart
+      if (!valid) {
+        button.disabled = true;
+        button.dataset.disabledByCartRules = '';
+      } else if (button.hasAttribute('data-disabled-by-cart-rules')) {
+        button.disabled = false;
+        delete button.dataset.disabledByCartRules;
+      }
+
+      if (valid) {
+        button.removeAttribute('aria-describedby');
+      } else {
+        button.setAttribute('aria-describedby', messages.id);
+      }
+    }
+
+    for (const buttons of this.querySelectorAll('.additional-checkout-buttons')) {
+      buttons.toggleAttribute('inert', !valid);
+      buttons.classList.toggle('additional-checkout-buttons--disabled', !valid);
+    }
+
+    const items = violations.map(({ message }) => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      return item;
+    });
+
+    // Only touch the live region when the messages change, so they aren't announced again
+    const text = violations.map(({ message }) => message).join('\n');
+    if ([...messages.children].map((item) => item.textContent).join('\n') !== text) {
+      messages.replaceChildren(...items);
+    }
+
+    messages.hidden = valid;
+  };
+}
+
+if (!customElements.get('cart-rules-component')) {
+  customElements.define('cart-rules-component', CartRulesComponent);
+}
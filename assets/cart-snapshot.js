@@ -0,0 +1,293 @@
+import { Component } from '@theme/component';
+import { cartStore, CartError } from '@theme/cart-store';
+import { CartAddEvent, CartErrorEvent, ThemeEvents } from '@theme/events';
+
+/** @typedef {import('./cart-store').Cart} Cart */
+/** @typedef {import('./cart-store').CartAddItem} CartAddItem */
+
+/**
+ * @typedef {CartAddItem & { title?: string }} SnapshotItem - A line of the cart, with the title shown when it can't be restored.
+ */
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {SnapshotItem[]} items - The lines of the cart.
+ * @property {string[]} discountCodes - The discount codes applied to the cart.
+ * @property {number} itemCount - The number of items in the cart.
+ * @property {number} timestamp - When the snapshot was taken.
+ * @property {boolean} [checkedOut] - Whether the shopper went to checkout with this cart.
+ */
+
+/**
+ * Keeps a copy of the last non-empty cart in local storage, so it can be restored once the cart has expired.
+ *
+ * A completed checkout empties the cart without a cart update event, and the order status page isn't part of the
+ * theme, so the snapshot is marked when the shopper goes to checkout. If the cart is empty afterwards, it was most
+ * likely ordered, and the snapshot isn't offered. Coming back from checkout and changing the cart takes a new one.
+ */
+export class CartSnapshot {
+  /** @static @constant {string} The key used to store the snapshot in local storage */
+  static #STORAGE_KEY = 'cartSnapshot';
+  /** @static @constant {number} How long a snapshot can be restored, in milliseconds */
+  static #MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+  /**
+   * Takes a snapshot of the cart, or forgets the previous one when the cart has been emptied.
+   * @param {Cart} cart - The cart.
+   */
+  static save(cart) {
+    if (!cart.items.length) {
+      this.clear();
+      return;
+    }
+
+    /** @type {Snapshot} */
+    const snapshot = {
+      items: cart.items.map((item) => {
+        /** @type {SnapshotItem} */
+        const line = {
+          id: item.variant_id,
+          quantity: item.quantity,
+          title: [item.product_title, item.variant_title].filter(Boolean).join(' - '),
+        };
+        const properties = Object.entries(item.properties ?? {}).filter(([, value]) => value != null && value !== '');
+        const sellingPlan = item.selling_plan_allocation?.selling_plan.id;
+
+        if (properties.length) line.properties = Object.fromEntries(properties);
+        if (sellingPlan) line.selling_plan = sellingPlan;
+
+        return line;
+      }),
+      discountCodes: (cart.discount_codes ?? []).filter(({ applicable }) => applicable).map(({ code }) => code),
+      itemCount: cart.item_count,
+      timestamp: Date.now(),
+    };
+
+    this.#write(snapshot);
+  }
+
+  /**
+   * Marks the snapshot as taken to checkout, so it isn't offered once the order has emptied the cart.
+   */
+  static markCheckedOut() {
+    const snapshot = this.get();
+
+    if (snapshot) this.#write({ ...snapshot, checkedOut: true });
+  }
+
+  /**
+   * Forgets the snapshot.
+   */
+  static clear() {
+    try {
+      localStorage.removeItem(this.#STORAGE_KEY);
+    } catch (error) {
+      console.warn('Unable to clear the cart snapshot', error);
+    }
+  }
+
+  /**
+   * Retrieves the snapshot from local storage.
+   * @returns {Snapshot | null} The snapshot, or null if there is none or it is too old to be restored.
+   */
+  static get() {
+    try {
+      /** @type {Snapshot | null} */
+      const snapshot = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || 'null');
+
+      if (!snapshot?.items?.length || snapshot.checkedOut || Date.now() - snapshot.timestamp > this.#MAX_AGE) {
+        return null;
+      }
+
+      return snapshot;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Stores a snapshot in local storage.
+   * @param {Snapshot} snapshot - The snapshot.
+   */
+  static #write(snapshot) {
+    try {
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(snapshot));
+    } catch (error) {
+      console.warn('Unable to save the cart snapshot', error);
+    }
+  }
+}
+
+/**
+ * Takes a snapshot of the cart whenever it changes.
+ */
+async function onCartChange() {
+  try {
+    CartSnapshot.save(cartStore.cart ?? (await cartStore.refresh()));
+  } catch (error) {
+    console.warn('Unable to take a snapshot of the cart', error);
+  }
+}
+
+document.addEventListener(ThemeEvents.cartUpdate, onCartChange);
+document.addEventListener(ThemeEvents.discountUpdate, onCartChange);
+
+// The checkout button submits the cart form, accelerated checkout buttons open their own checkout
+document.addEventListener('submit', (event) => {
+  if (event.submitter?.getAttribute('name') === 'checkout') CartSnapshot.markCheckedOut();
+});
+document.addEventListener('click', (event) => {
+  if (event.target instanceof Element && event.target.closest('shopify-accelerated-checkout-cart')) {
+    CartSnapshot.markCheckedOut();
+  }
+});
+
+/**
+ * What went wrong with the last restore, shown until the shopper closes it, since the cart is rendered again.
+ * @type {string}
+ */
+let restoreReport = '';
+
+/**
+ * A custom element that offers to restore the previous cart of a returning shopper whose cart is empty.
+ * Once the cart is restored, it reports the items and discount codes that couldn't be.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} offer - The heading and message offering to restore the cart.
+ * @property {HTMLButtonElement} restoreButton - The restore button.
+ * @property {HTMLButtonElement} dismissButton - The button declining to restore the cart.
+ * @property {HTMLButtonElement} closeButton - The button closing the report of the last restore.
+ * @property {HTMLElement} error - The error message element.
+ *
+ * @extends {Component<Refs>}
+ */
+class RestoreCartComponent extends Component {
+  requiredRefs = ['offer', 'restoreButton', 'dismissButton', 'closeButton', 'error'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#render();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#render();
+  }
+
+  /**
+   * Adds the items of the previous cart back, then applies its discount codes.
+   * Items are added one at a time, so the ones that are no longer available don't keep the others out.
+   */
+  async restore() {
+    const snapshot = CartSnapshot.get();
+    const { restoreButton } = this.refs;
+
+    if (!snapshot) return;
+
+    this.#showError('');
+    restoreButton.disabled = true;
+
+    /** @type {string[]} */
+    const skippedItems = [];
+    /** @type {unknown} */
+    let lastError;
+
+    for (const { title, ...item } of snapshot.items) {
+      try {
+        await cartStore.add({ items: [item] });
+      } catch (error) {
+        if (!(error instanceof CartError)) console.error(error);
+
+        skippedItems.push(title || String(item.id));
+        lastError = error;
+      }
+    }
+
+    if (skippedItems.length === snapshot.items.length) {
+      if (lastError instanceof CartError) {
+        this.dispatchEvent(new CartErrorEvent(this.id, lastError.message, lastError.description, lastError.errors));
+        this.#showError(lastError.message);
+      } else {
+        this.#showError(Theme.translations.add_to_cart_error ?? '');
+      }
+
+      restoreButton.disabled = false;
+      return;
+    }
+
+    // The items are back in the cart, so a failure from here on mustn't let the shopper add them a second time
+    CartSnapshot.clear();
+
+    /** @type {string[]} */
+    const report = [];
+
+    if (skippedItems.length) {
+      report.push((Theme.translations.restore_cart_skipped ?? '').replace('[items]', skippedItems.join(', ')));
+    }
+
+    if (snapshot.discountCodes.length) {
+      try {
+        await cartStore.update({ discount: snapshot.discountCodes.join(',') });
+      } catch (error) {
+        console.error(error);
+        report.push(Theme.translations.restore_cart_discount_error ?? '');
+      }
+    }
+
+    restoreReport = report.join(' ');
+    restoreButton.disabled = false;
+    this.#render();
+
+    // Without sections, the cart items components render theirs again
+    this.dispatchEvent(
+      new CartAddEvent({}, this.id, {
+        source: 'restore-cart-component',
+        itemCount: cartStore.cart?.item_count ?? snapshot.itemCount,
+      })
+    );
+  }
+
+  /**
+   * Forgets the previous cart, or closes the report of the last restore.
+   */
+  dismiss() {
+    CartSnapshot.clear();
+    restoreReport = '';
+    this.hidden = true;
+  }
+
+  /**
+   * Shows the offer when the cart is empty and there is a previous cart to restore,
+   * or the report of the last restore if something couldn't be restored.
+   */
+  #render() {
+    const { offer, restoreButton, dismissButton, closeButton } = this.refs;
+    const canRestore = this.dataset.cartEmpty === 'true' && CartSnapshot.get() !== null;
+
+    offer.classList.toggle('hidden', !canRestore);
+    restoreButton.classList.toggle('hidden', !canRestore);
+    dismissButton.classList.toggle('hidden', !canRestore);
+    closeButton.classList.toggle('hidden', canRestore);
+
+    if (!canRestore) this.#showError(restoreReport);
+
+    this.hidden = !canRestore && !restoreReport;
+  }
+
+  /**
+   * Shows an error message, or hides it when the message is empty.
+   * @param {string} message - The error message.
+   */
+  #showError(message) {
+    const { error } = this.refs;
+
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+  }
+}
+
+if (!customElements.get('restore-cart-component')) {
+  customElements.define('restore-cart-component', RestoreCartComponent);
+}
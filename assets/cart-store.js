@@ -0,0 +1,826 @@
+import { debounce, fetchConfig, onDocumentLoaded } from '@theme/utilities';
+import { CartErrorEvent, CartQueueUpdateEvent, CartUpdateEvent } from '@theme/events';
+
+/**
+ * @typedef {Object} CartItem
+ * @property {number} id - The variant id of the line.
+ * @property {string} key - The unique key of the line.
+ * @property {number} quantity - The quantity of the line.
+ * @property {number} variant_id - The variant id of the line.
+ * @property {number} product_id - The product id of the line.
+ * @property {string} product_title - The title of the product of the line.
+ * @property {string | null} variant_title - The title of the variant of the line.
+ * @property {string} url - The url of the variant of the line.
+ * @property {string | null} image - The image url of the line.
+ * @property {number} price - The price of a single item, in cents.
+ * @property {number} final_price - The price of a single item after line discounts, in cents.
+ * @property {number} final_line_price - The price of the line after line discounts, in cents.
+ * @property {number} [unit_price] - The price of the reference measurement of the line, in cents.
+ * @property {import('./utilities').UnitPriceMeasurement} [unit_price_measurement] - The unit price measurement.
+ * @property {Record<string, string>} properties - The line item properties.
+ * @property {{ selling_plan: { id: number } } | null} [selling_plan_allocation] - The selling plan of the line.
+ */
+
+/**
+ * @typedef {Object} Cart
+ * @property {string} token - The cart token.
+ * @property {string | null} note - The cart note.
+ * @property {Record<string, string>} attributes - The cart attributes.
+ * @property {number} item_count - The number of items in the cart.
+ * @property {number} total_price - The total price of the cart, in cents.
+ * @property {number} original_total_price - The total price of the cart before discounts, in cents.
+ * @property {number} items_subtotal_price - The sum of the line prices, in cents.
+ * @property {string} currency - The currency of the cart.
+ * @property {CartItem[]} items - The cart lines.
+ * @property {{ code: string, applicable: boolean }[]} [discount_codes] - The discount codes entered on the cart.
+ * @property {Record<string, string>} [sections] - The sections rendered with the response, when requested.
+ */
+
+/**
+ * @typedef {Object} CartAddItem
+ * @property {number | string} id - The variant id to add.
+ * @property {number} [quantity] - The quantity to add.
+ * @property {Record<string, string>} [properties] - The line item properties.
+ * @property {number | string} [selling_plan] - The selling plan id.
+ */
+
+/**
+ * @typedef {Object} CartAddResponse
+ * @property {CartItem[]} [items] - The lines that were added, when adding several items.
+ * @property {Record<string, string>} [sections] - The sections rendered with the response, when requested.
+ */
+
+/**
+ * @typedef {Object} CartChange
+ * @property {number} [line] - The 1-based index of the line to change.
+ * @property {string} [id] - The key of the line to change.
+ * @property {number} [quantity] - The new quantity of the line.
+ * @property {Record<string, string>} [properties] - The new line item properties.
+ * @property {number | string | null} [selling_plan] - The new selling plan id.
+ */
+
+/**
+ * @typedef {Object} CartUpdate
+ * @property {Record<string, number>} [updates] - The new quantities, keyed by variant id or line key.
+ * @property {string} [note] - The new cart note.
+ * @property {Record<string, string>} [attributes] - The cart attributes to set.
+ * @property {string} [discount] - The comma separated discount codes to apply.
+ */
+
+/**
+ * @typedef {Object} CartRequestOptions
+ * @property {Iterable<string>} [sections] - The section ids to render with the response.
+ * @property {AbortSignal} [signal] - Aborts the request, or skips it if it is still queued.
+ */
+
+/**
+ * @typedef {Object} CartChangeOptions
+ * @property {Iterable<string>} [sections] - The section ids to render with the response.
+ * @property {AbortSignal} [signal] - Aborts the request, or skips it if it is still queued.
+ * @property {boolean} [optimistic] - Applies the change to the stored cart before the server confirms it.
+ */
+
+/**
+ * @typedef {(cart: Cart) => void} CartSubscriber
+ */
+
+/**
+ * @typedef {'add' | 'change' | 'update' | 'clear'} CartMutationType
+ */
+
+/**
+ * A mutation that couldn't reach the server, stored until the connection comes back.
+ * @typedef {Object} QueuedCartMutation
+ * @property {string} id - A unique id for the mutation.
+ * @property {CartMutationType} type - The kind of mutation.
+ * @property {Object | [string, string][]} body - The JSON body, or the entries of the form data.
+ * @property {boolean} isFormData - Whether the body was sent as form data.
+ * @property {string[]} sections - The section ids to render with the response.
+ */
+
+const OFFLINE_QUEUE_STORAGE_KEY = 'cart-offline-queue';
+
+const SYNC_CHANNEL_NAME = 'cart';
+
+/** The delay before replaying the offline queue after a network failure, doubled after each failed attempt. */
+const RETRY_DELAY = 2000;
+
+const MAX_RETRY_DELAY = 60000;
+
+/**
+ * An error thrown when the cart API rejects a mutation.
+ */
+export class CartError extends Error {
+  /**
+   * @param {{ status?: number, message?: string, description?: string, errors?: any }} response - The error response.
+   */
+  constructor(response) {
+    super(response.message ?? 'Cart request failed');
+    this.status = response.status;
+    this.description = response.description ?? '';
+    this.errors = response.errors;
+  }
+}
+
+/**
+ * Owns the cart state of the page.
+ *
+ * Every mutation goes through a single queue, so requests are sent one after the other and the
+ * cart they resolve with is always the latest one. Subscribers are notified whenever the cart changes.
+ *
+ * Mutations that fail because the network is down are saved to localStorage and replayed in order
+ * once the connection comes back, or retried with a growing delay while the browser reports being online,
+ * even after a reload. Their promises settle when they are replayed.
+ *
+ * The stored queue is shared by every tab of the store: it is read again before each change, and replayed
+ * by one tab at a time while holding a lock, so every mutation reaches the server once.
+ *
+ * Every mutation that reaches the server is broadcast to the other tabs of the store, which reload
+ * the cart and let their page know it changed.
+ */
+class CartStore {
+  /** @type {Cart | null} */
+  #cart = null;
+
+  /**
+   * The last cart returned by the server, without pending optimistic changes.
+   * @type {Cart | null}
+   */
+  #confirmedCart = null;
+
+  /** @type {Set<CartChange>} */
+  #optimisticChanges = new Set();
+
+  /** @type {Set<CartSubscriber>} */
+  #subscribers = new Set();
+
+  /** @type {Promise<unknown>} */
+  #queue = Promise.resolve();
+
+  /** @type {Promise<Cart> | null} */
+  #pendingRefresh = null;
+
+  /** @type {QueuedCartMutation[]} */
+  #offlineQueue = readOfflineQueue() ?? [];
+
+  /**
+   * The callbacks settling the promises of the mutations queued by this page.
+   * @type {Map<string, { resolve: (value: any) => void, reject: (reason: unknown) => void }>}
+   */
+  #offlineCallbacks = new Map();
+
+  #isReplaying = false;
+
+  /** @type {number | undefined} */
+  #retryTimeout;
+
+  #retryDelay = RETRY_DELAY;
+
+  /**
+   * The channel shared with the other tabs of the store, if the browser supports it.
+   * @type {BroadcastChannel | null}
+   */
+  #syncChannel = 'BroadcastChannel' in window ? new BroadcastChannel(SYNC_CHANNEL_NAME) : null;
+
+  constructor() {
+    window.addEventListener('online', () => this.#replay());
+    this.#syncChannel?.addEventListener('message', (event) => {
+      this.#settleReplayedMutation(event.data);
+      if (event.data?.type) this.#onSyncMessage();
+    });
+    window.addEventListener('storage', (event) => {
+      if (event.key !== OFFLINE_QUEUE_STORAGE_KEY) return;
+
+      this.#loadOfflineQueue();
+      document.dispatchEvent(new CartQueueUpdateEvent(this.#offlineQueue.length));
+    });
+    onDocumentLoaded(() => {
+      if (!this.#offlineQueue.length) return;
+
+      document.dispatchEvent(new CartQueueUpdateEvent(this.#offlineQueue.length));
+      if (navigator.onLine) this.#replay();
+    });
+  }
+
+  /**
+   * The last known cart, including optimistic changes, or null if it hasn't been loaded yet.
+   * @returns {Cart | null}
+   */
+  get cart() {
+    return this.#cart;
+  }
+
+  /**
+   * Whether some optimistic changes are still waiting for the server.
+   * @returns {boolean}
+   */
+  get hasOptimisticChanges() {
+    return this.#optimisticChanges.size > 0;
+  }
+
+  /**
+   * The number of mutations waiting for the connection to come back.
+   * @returns {number}
+   */
+  get pendingMutations() {
+    return this.#offlineQueue.length;
+  }
+
+  /**
+   * Checks whether a variant is part of an add waiting for the connection to come back.
+   * @param {number | string} variantId - The variant id.
+   * @returns {boolean}
+   */
+  hasQueuedAdd(variantId) {
+    return this.#offlineQueue.some(({ type, body, isFormData }) => {
+      if (type !== 'add') return false;
+
+      if (isFormData && Array.isArray(body)) {
+        return body.some(([name, value]) => name === 'id' && value === String(variantId));
+      }
+
+      const { items = [] } = /** @type {{ items?: CartAddItem[] }} */ (body);
+      return items.some((item) => String(item.id) === String(variantId));
+    });
+  }
+
+  /**
+   * Subscribes to cart changes.
+   * @param {CartSubscriber} callback - Called with the new cart every time it changes.
+   * @returns {() => void} A function that removes the subscription.
+   */
+  subscribe(callback) {
+    this.#subscribers.add(callback);
+
+    return () => {
+      this.#subscribers.delete(callback);
+    };
+  }
+
+  /**
+   * Gets the total quantity of a variant across all cart lines.
+   * @param {number | string} variantId - The variant id.
+   * @returns {number} The quantity in the cart.
+   */
+  getVariantQuantity(variantId) {
+    if (!this.#cart) return 0;
+
+    return this.#cart.items.reduce(
+      (total, item) => (String(item.variant_id) === String(variantId) ? total + item.quantity : total),
+      0
+    );
+  }
+
+  /**
+   * Loads the cart after any queued mutation has settled.
+   * @returns {Promise<Cart>} The current cart.
+   */
+  refresh() {
+    if (!this.#pendingRefresh) {
+      this.#pendingRefresh = this.#enqueue(() => this.#fetchCart()).finally(() => {
+        this.#pendingRefresh = null;
+      });
+    }
+
+    return this.#pendingRefresh;
+  }
+
+  /**
+   * Adds items to the cart.
+   * @param {FormData | { items: CartAddItem[] }} items - A product form's data or a list of items.
+   * @param {CartRequestOptions} [options] - The request options.
+   * @returns {Promise<CartAddResponse>} The added items.
+   */
+  add(items, options = {}) {
+    return this.#mutate('add', items, options);
+  }
+
+  /**
+   * Changes a single cart line.
+   *
+   * Optimistic changes are reflected in `cart` right away. If the server rejects one, it is dropped
+   * and subscribers are notified with the cart as it was before.
+   * @param {CartChange} change - The line and its new values.
+   * @param {CartChangeOptions} [options] - The request options.
+   * @returns {Promise<Cart>} The updated cart.
+   */
+  async change(change, options = {}) {
+    const { optimistic = false, ...requestOptions } = options;
+
+    if (optimistic && this.#confirmedCart) {
+      this.#optimisticChanges.add(change);
+      this.#render();
+    }
+
+    try {
+      return await this.#mutate('change', change, requestOptions);
+    } finally {
+      // Stays pending while the change waits for the connection, and goes away once the server has answered
+      if (this.#optimisticChanges.delete(change)) this.#render();
+    }
+  }
+
+  /**
+   * Updates quantities, the note, attributes or discount codes of the cart.
+   * @param {CartUpdate} update - The values to update.
+   * @param {CartRequestOptions} [options] - The request options.
+   * @returns {Promise<Cart>} The updated cart.
+   */
+  update(update, options = {}) {
+    return this.#mutate('update', update, options);
+  }
+
+  /**
+   * Removes every line from the cart.
+   * @param {CartRequestOptions} [options] - The request options.
+   * @returns {Promise<Cart>} The empty cart.
+   */
+  clear(options = {}) {
+    return this.#mutate('clear', {}, options);
+  }
+
+  /**
+   * Queues a mutation, and keeps it for later if the network is down.
+   * @param {CartMutationType} type - The kind of mutation.
+   * @param {FormData | Object} body - The request body.
+   * @param {CartRequestOptions} options - The request options.
+   * @returns {Promise<any>} The parsed response, once the mutation has reached the server.
+   */
+  async #mutate(type, body, options) {
+    const canQueue = isPersistable(body);
+
+    const outcome = await this.#enqueue(async () => {
+      // Mutations must reach the server in order, so nothing skips ahead of the offline queue
+      if (!canQueue || !this.#loadOfflineQueue().length) {
+        try {
+          return { response: await this.#send(type, body, options) };
+        } catch (error) {
+          if (!canQueue || !isNetworkError(error)) throw error;
+        }
+      }
+
+      return { deferred: this.#queueOffline(type, body, options) };
+    });
+
+    return 'response' in outcome ? outcome.response : outcome.deferred;
+  }
+
+  /**
+   * Sends a mutation to the endpoint matching its type.
+   * @param {CartMutationType} type - The kind of mutation.
+   * @param {FormData | Object} body - The request body.
+   * @param {CartRequestOptions} options - The request options.
+   * @param {string} [id] - The id of the stored mutation being replayed, so the tab that queued it can settle it.
+   * @returns {Promise<any>} The parsed response.
+   */
+  async #send(type, body, options, id) {
+    const response = await this.#post(type, body, options);
+
+    this.#syncChannel?.postMessage(id ? { type, id, response } : { type });
+
+    return response;
+  }
+
+  /**
+   * Posts a mutation to the endpoint matching its type.
+   * @param {CartMutationType} type - The kind of mutation.
+   * @param {FormData | Object} body - The request body.
+   * @param {CartRequestOptions} options - The request options.
+   * @returns {Promise<any>} The parsed response.
+   */
+  async #post(type, body, options) {
+    switch (type) {
+      case 'add':
+        try {
+          return await this.#request(Theme.routes.cart_add_url, body, options);
+        } finally {
+          // The add endpoint doesn't return the cart, and still adds the allowed amount when a max is exceeded
+          await this.#fetchCart().catch(() => {});
+        }
+      case 'change':
+        return this.#setCart(await this.#request(Theme.routes.cart_change_url, body, options));
+      case 'update':
+        return this.#setCart(await this.#request(Theme.routes.cart_update_url, body, options));
+      case 'clear':
+        return this.#setCart(await this.#request(Theme.routes.cart_clear_url, body, options));
+    }
+  }
+
+  /**
+   * Reloads the cart when another tab changed it, and lets the page know so the cart sections are rendered again.
+   * Debounced, since a single action in the other tab can send a few mutations.
+   */
+  #onSyncMessage = debounce(async () => {
+    try {
+      const cart = await this.refresh();
+
+      document.dispatchEvent(
+        new CartUpdateEvent(cart, 'cart-store', { source: 'cart-sync', itemCount: cart.item_count })
+      );
+    } catch (error) {
+      console.warn('Unable to sync the cart with the other tabs', error);
+    }
+  }, 100);
+
+  /**
+   * Settles the promise of a mutation queued by this page and replayed by another tab.
+   * @param {{ id?: string, response?: any, error?: ConstructorParameters<typeof CartError>[0] }} message - The sync message.
+   */
+  #settleReplayedMutation({ id, response, error } = {}) {
+    const callbacks = id && this.#offlineCallbacks.get(id);
+    if (!callbacks) return;
+
+    this.#offlineCallbacks.delete(id);
+
+    if (error) {
+      callbacks.reject(new CartError(error));
+    } else {
+      callbacks.resolve(response);
+    }
+  }
+
+  /**
+   * Stores a mutation until the connection comes back.
+   * @param {CartMutationType} type - The kind of mutation.
+   * @param {FormData | Object} body - The request body.
+   * @param {CartRequestOptions} options - The request options.
+   * @returns {Promise<any>} The parsed response, once the mutation has been replayed.
+   */
+  #queueOffline(type, body, { sections = [] }) {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const isFormData = body instanceof FormData;
+
+    this.#loadOfflineQueue().push({
+      id,
+      type,
+      body: isFormData ? /** @type {[string, string][]} */ ([...body.entries()]) : body,
+      isFormData,
+      sections: [...new Set(sections)],
+    });
+    this.#saveOfflineQueue();
+    this.#scheduleReplay();
+
+    return new Promise((resolve, reject) => {
+      this.#offlineCallbacks.set(id, { resolve, reject });
+    });
+  }
+
+  /**
+   * Sends the stored mutations in order, until the queue is empty or the network fails again.
+   */
+  #replay() {
+    if (this.#isReplaying || !this.#loadOfflineQueue().length) return;
+
+    this.#isReplaying = true;
+    clearTimeout(this.#retryTimeout);
+    this.#retryTimeout = undefined;
+
+    /** @type {Set<string>} */
+    const replayedIds = new Set();
+
+    this.#enqueue(() =>
+      withOfflineQueueLock(async () => {
+        /** @type {QueuedCartMutation | undefined} */
+        let mutation;
+
+        // Read the queue again for every mutation, another tab may have replayed some or queued new ones
+        while ((mutation = this.#nextStoredMutation(replayedIds))) {
+          if (!(await this.#replayMutation(mutation))) return;
+
+          replayedIds.add(mutation.id);
+        }
+
+        this.#retryDelay = RETRY_DELAY;
+      })
+    ).finally(() => {
+      this.#isReplaying = false;
+      this.#scheduleReplay();
+    });
+  }
+
+  /**
+   * Gets the oldest stored mutation that this replay hasn't sent yet.
+   * @param {Set<string>} replayedIds - The ids of the mutations sent by this replay.
+   * @returns {QueuedCartMutation | undefined} The mutation.
+   */
+  #nextStoredMutation(replayedIds) {
+    return this.#loadOfflineQueue().find(({ id }) => !replayedIds.has(id));
+  }
+
+  /**
+   * Sends a stored mutation and settles its promise, wherever it was queued.
+   * @param {QueuedCartMutation} mutation - The mutation.
+   * @returns {Promise<boolean>} Whether the mutation reached the server, it stays stored when the network failed again.
+   */
+  async #replayMutation(mutation) {
+    const callbacks = this.#offlineCallbacks.get(mutation.id);
+    let response;
+
+    try {
+      response = await this.#send(mutation.type, toRequestBody(mutation), { sections: mutation.sections }, mutation.id);
+    } catch (error) {
+      if (isNetworkError(error)) return false;
+
+      this.#dequeue(mutation);
+      this.#syncChannel?.postMessage({ id: mutation.id, error: toErrorResponse(error) });
+
+      if (callbacks) {
+        callbacks.reject(error);
+      } else if (error instanceof CartError) {
+        document.dispatchEvent(new CartErrorEvent('cart-store', error.message, error.description, error.errors));
+      } else {
+        console.error(error);
+      }
+      return true;
+    }
+
+    this.#dequeue(mutation);
+
+    if (callbacks) {
+      callbacks.resolve(response);
+    } else if (this.#cart) {
+      // Queued before a reload or by another tab, nobody here is waiting for it, so let the page know the cart changed
+      document.dispatchEvent(
+        new CartUpdateEvent(this.#cart, 'cart-store', { source: 'cart-store', itemCount: this.#cart.item_count })
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Replays the offline queue later, since a request can fail while the browser still reports being online.
+   * Waits longer after each failed attempt, and for the `online` event while the browser is offline.
+   */
+  #scheduleReplay() {
+    if (!this.#offlineQueue.length || this.#retryTimeout !== undefined || !navigator.onLine) return;
+
+    this.#retryTimeout = window.setTimeout(() => {
+      this.#retryTimeout = undefined;
+      this.#replay();
+    }, this.#retryDelay);
+    this.#retryDelay = Math.min(this.#retryDelay * 2, MAX_RETRY_DELAY);
+  }
+
+  /**
+   * Removes a replayed mutation from the offline queue.
+   * @param {QueuedCartMutation} mutation - The mutation.
+   */
+  #dequeue(mutation) {
+    this.#offlineQueue = this.#loadOfflineQueue().filter(({ id }) => id !== mutation.id);
+    this.#offlineCallbacks.delete(mutation.id);
+    this.#saveOfflineQueue();
+  }
+
+  /**
+   * Reads the offline queue again, since the other tabs of the store change it too.
+   * Keeps the copy of the page when storage can't be read.
+   * @returns {QueuedCartMutation[]} The queue.
+   */
+  #loadOfflineQueue() {
+    this.#offlineQueue = readOfflineQueue() ?? this.#offlineQueue;
+
+    return this.#offlineQueue;
+  }
+
+  /**
+   * Persists the offline queue and lets the page know how many mutations are pending.
+   */
+  #saveOfflineQueue() {
+    try {
+      if (this.#offlineQueue.length) {
+        localStorage.setItem(OFFLINE_QUEUE_STORAGE_KEY, JSON.stringify(this.#offlineQueue));
+      } else {
+        localStorage.removeItem(OFFLINE_QUEUE_STORAGE_KEY);
+      }
+    } catch (error) {
+      // Storage can be full or disabled, the queue still lives until the page is closed
+    }
+
+    document.dispatchEvent(new CartQueueUpdateEvent(this.#offlineQueue.length));
+  }
+
+  /**
+   * Runs a task once every previously queued task has settled.
+   * @template T
+   * @param {() => Promise<T>} task - The task to run.
+   * @returns {Promise<T>} The result of the task.
+   */
+  #enqueue(task) {
+    const result = this.#queue.then(task);
+    this.#queue = result.catch(() => {});
+
+    return result;
+  }
+
+  /**
+   * Fetches the cart and notifies subscribers.
+   * @returns {Promise<Cart>} The current cart.
+   */
+  async #fetchCart() {
+    const response = await fetch(`${Theme.routes.cart_url}.js`);
+
+    return this.#setCart(await response.json());
+  }
+
+  /**
+   * Sends a mutation to the cart API.
+   * @param {string} url - The endpoint to post to.
+   * @param {FormData | Object} body - The request body.
+   * @param {CartRequestOptions} options - The request options.
+   * @returns {Promise<any>} The parsed response.
+   */
+  async #request(url, body, { sections, signal }) {
+    signal?.throwIfAborted();
+
+    const sectionIds = [...new Set(sections)];
+    let config;
+
+    if (body instanceof FormData) {
+      if (sectionIds.length) {
+        body.set('sections', sectionIds.join(','));
+        body.set('sections_url', window.location.pathname);
+      }
+
+      const fetchCfg = fetchConfig('javascript', { body });
+      config = { ...fetchCfg, headers: { ...fetchCfg.headers, Accept: 'text/html' } };
+    } else {
+      const sectionsParams = sectionIds.length
+        ? { sections: sectionIds.join(','), sections_url: window.location.pathname }
+        : {};
+
+      config = fetchConfig('json', { body: JSON.stringify({ ...body, ...sectionsParams }) });
+    }
+
+    const response = await fetch(url, { ...config, signal });
+    const data = await response.json();
+
+    if (!response.ok || data.status || data.errors) {
+      throw new CartError(data);
+    }
+
+    return data;
+  }
+
+  /**
+   * Stores a new cart and notifies subscribers.
+   * @param {Cart} cart - The cart returned by the API, possibly with rendered sections.
+   * @returns {Cart} The same cart, sections included.
+   */
+  #setCart(cart) {
+    const { sections, ...state } = cart;
+    this.#confirmedCart = state;
+    this.#render();
+
+    return cart;
+  }
+
+  /**
+   * Applies the pending optimistic changes to the confirmed cart and notifies subscribers.
+   */
+  #render() {
+    if (!this.#confirmedCart) return;
+
+    let cart = this.#confirmedCart;
+    for (const change of this.#optimisticChanges) {
+      cart = applyChange(cart, change);
+    }
+
+    this.#cart = cart;
+
+    for (const subscriber of this.#subscribers) {
+      try {
+        subscriber(cart);
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  }
+}
+
+/**
+ * Applies a line change to a cart, without mutating it.
+ * @param {Cart} cart - The cart to apply the change to.
+ * @param {CartChange} change - The change to apply.
+ * @returns {Cart} The changed cart.
+ */
+function applyChange(cart, { id, line, quantity }) {
+  const index =
+    id !== undefined
+      ? cart.items.findIndex((item) => item.key === id || String(item.variant_id) === String(id))
+      : (line ?? 0) - 1;
+  const item = cart.items[index];
+
+  if (!item || quantity === undefined) return cart;
+
+  const delta = quantity - item.quantity;
+
+  return {
+    ...cart,
+    items:
+      quantity > 0
+        ? cart.items.map((current) =>
+            current === item ? { ...item, quantity, final_line_price: item.final_price * quantity } : current
+          )
+        : cart.items.filter((current) => current !== item),
+    item_count: cart.item_count + delta,
+    total_price: cart.total_price + item.final_price * delta,
+    original_total_price: cart.original_total_price + item.price * delta,
+    items_subtotal_price: cart.items_subtotal_price + item.final_price * delta,
+  };
+}
+
+/**
+ * Reads the mutations stored while the network was down.
+ * @returns {QueuedCartMutation[] | null} The stored mutations, oldest first, or null if storage can't be read.
+ */
+function readOfflineQueue() {
+  try {
+    const queue = JSON.parse(localStorage.getItem(OFFLINE_QUEUE_STORAGE_KEY) ?? '[]');
+
+    return Array.isArray(queue) ? queue : [];
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Runs a task while holding the lock of the offline queue, so a single tab replays it at a time.
+ * Browsers without the Web Locks API run it right away.
+ * @param {() => Promise<void>} task - The task to run.
+ * @returns {Promise<void>}
+ */
+async function withOfflineQueueLock(task) {
+  if (!('locks' in navigator)) return task();
+
+  await navigator.locks.request(OFFLINE_QUEUE_STORAGE_KEY, task);
+}
+
+/**
+ * Gets the details of a failed mutation that can be sent to the other tabs.
+ * @param {unknown} error - The error.
+ * @returns {ConstructorParameters<typeof CartError>[0]} The error response.
+ */
+function toErrorResponse(error) {
+  if (!(error instanceof CartError)) return {};
+
+  const { status, message, description, errors } = error;
+
+  return { status, message, description, errors };
+}
+
+/**
+ * Rebuilds the body of a stored mutation.
+ * @param {QueuedCartMutation} mutation - The stored mutation.
+ * @returns {FormData | Object} The request body.
+ */
+function toRequestBody({ body, isFormData }) {
+  if (!isFormData || !Array.isArray(body)) return body;
+
+  const formData = new FormData();
+  for (const [name, value] of body) {
+    formData.append(name, value);
+  }
+
+  return formData;
+}
+
+/**
+ * Checks whether a request body can be stored, files can't.
+ * @param {FormData | Object} body - The request body.
+ * @returns {boolean}
+ */
+function isPersistable(body) {
+  if (!(body instanceof FormData)) return true;
+
+  return [...body.values()].every((value) => typeof value === 'string');
+}
+
+/**
+ * Checks whether a request failed because the server couldn't be reached.
+ * `fetch` rejects with a `TypeError` in that case, aborted requests reject with a `DOMException`.
+ * @param {unknown} error - The error.
+ * @returns {boolean}
+ */
+function isNetworkError(error) {
+  return error instanceof TypeError;
+}
+
+/**
+ * Gets the section ids of every cart items component on the page.
+ * @returns {string[]} The section ids.
+ */
+export function getCartItemsSectionIds() {
+  /** @type {string[]} */
+  const sectionIds = [];
+
+  for (const element of document.querySelectorAll('cart-items-component')) {
+    if (element instanceof HTMLElement && element.dataset.sectionId) {
+      sectionIds.push(element.dataset.sectionId);
+    }
+  }
+
+  return sectionIds;
+}
+
+export const cartStore = new CartStore();
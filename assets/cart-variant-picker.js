@@ -0,0 +1,36 @@
+import VariantPicker from '@theme/variant-picker';
+
+/**
+ * A compact variant picker used to change the variant of a cart line.
+ *
+ * It only re-renders its own options, the cart items component swaps the line.
+ *
+ * @extends {VariantPicker}
+ */
+class CartVariantPicker extends VariantPicker {
+  /**
+   * Gets the selector of the script holding the selected variant in a section response.
+   * @returns {string} The selector.
+   */
+  get variantDataSelector() {
+    return 'cart-variant-picker script[type="application/json"]';
+  }
+
+  /**
+   * Builds the request URL, rendering only this picker for the selected option values.
+   * @returns {string} The request URL.
+   */
+  buildRequestUrl() {
+    const url = new URL(this.dataset.productUrl ?? '', window.location.origin);
+
+    url.search = '';
+    url.searchParams.set('section_id', 'cart-variant-picker');
+    url.searchParams.set('option_values', this.selectedOptionsValues.join(','));
+
+    return url.href;
+  }
+}
+
+if (!customElements.get('cart-variant-picker')) {
+  customElements.define('cart-variant-picker', CartVariantPicker);
+}
@@ -0,0 +1,108 @@
+import { Component } from '@theme/component';
+import { CartError } from '@theme/cart-store';
+
+/** @typedef {import('@theme/product-form').ProductFormComponent} ProductFormComponent */
+/** @typedef {import('./cart-store').CartAddItem} CartAddItem */
+
+/**
+ * A custom element that adds the selected products of a "complete the look" block in one request.
+ *
+ * @typedef {object} CompleteTheLookRefs
+ * @property {HTMLLIElement[]} items - The product rows.
+ * @property {HTMLElement} error - The error message element.
+ * @property {HTMLButtonElement} addButton - The add to cart button.
+ *
+ * @extends {Component<CompleteTheLookRefs>}
+ */
+class CompleteTheLookComponent extends Component {
+  requiredRefs = ['items', 'error', 'addButton'];
+
+  /**
+   * The product form of the section, which owns the cart requests.
+   * @returns {ProductFormComponent | null}
+   */
+  get productForm() {
+    const { productFormId } = this.dataset;
+    if (!productFormId) return null;
+
+    return /** @type {ProductFormComponent | null} */ (
+      document.getElementById(productFormId)?.closest('product-form-component') ?? null
+    );
+  }
+
+  /**
+   * Adds the selected products to the cart.
+   */
+  async addSelected() {
+    const { productForm } = this;
+    const { addButton } = this.refs;
+
+    if (!productForm) throw new Error('Product form not found');
+
+    const items = this.#getSelectedItems(productForm);
+
+    if (!items.length) {
+      this.#showError(this.dataset.emptySelectionError ?? '');
+      return;
+    }
+
+    this.#showError('');
+    addButton.disabled = true;
+
+    try {
+      await productForm.addItems(items);
+    } catch (error) {
+      if (error instanceof CartError) {
+        this.#showError(error.message);
+      } else {
+        console.error(error);
+      }
+    } finally {
+      addButton.disabled = false;
+    }
+  }
+
+  /**
+   * Gets the variants to add from the checked rows.
+   * @param {ProductFormComponent} productForm - The product form of the section.
+   * @returns {CartAddItem[]} The items to add.
+   */
+  #getSelectedItems(productForm) {
+    /** @type {CartAddItem[]} */
+    const items = [];
+
+    for (const row of this.refs.items) {
+      const checkbox = row.querySelector('input[type="checkbox"]');
+      if (!(checkbox instanceof HTMLInputElement) || !checkbox.checked || checkbox.disabled) continue;
+
+      // The current product follows the variant and quantity picked in the product form
+      if (row.hasAttribute('data-current-product')) {
+        const quantityInput = productForm.querySelector('input[name="quantity"]');
+        const quantity = quantityInput instanceof HTMLInputElement ? Number(quantityInput.value) : 1;
+
+        items.push({ id: productForm.refs.variantId.value, quantity: quantity || 1 });
+        continue;
+      }
+
+      const variantSelect = row.querySelector('select');
+      items.push({ id: variantSelect?.value ?? checkbox.value, quantity: 1 });
+    }
+
+    return items;
+  }
+
+  /**
+   * Shows an error message, or hides it when the message is empty.
+   * @param {string} message - The error message.
+   */
+  #showError(message) {
+    const { error } = this.refs;
+
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+  }
+}
+
+if (!customElements.get('complete-the-look-component')) {
+  customElements.define('complete-the-look-component', CompleteTheLookComponent);
+}
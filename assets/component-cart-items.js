@@ -1,16 +1,30 @@
 import { Component } from '@theme/component';
-import { fetchConfig, debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
+import {
+  debounce,
+  formatMoney,
+  formatUnitPrice,
+  onAnimationEnd,
+  prefersReducedMotion,
+  resetShimmer,
+} from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
+import { cartStore, CartError, getCartItemsSectionIds } from '@theme/cart-store';
 import {
   ThemeEvents,
   CartUpdateEvent,
   QuantitySelectorUpdateEvent,
   CartAddEvent,
+  CartErrorEvent,
   DiscountUpdateEvent,
+  VariantUpdateEvent,
 } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { SavedForLater } from '@theme/saved-for-later';
+import { cartRules } from '@theme/cart-rules';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
+/** @typedef {import('./cart-store').Cart} Cart */
+/** @typedef {import('./cart-store').CartAddItem} CartAddItem */
 
 /**
  * A custom element that displays a cart items component.
@@ -25,12 +39,35 @@ import { cartPerformance } from '@theme/performance';
 class CartItemsComponent extends Component {
   #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
 
+  /**
+   * The number of optimistic changes made from this component that the server hasn't answered yet.
+   * @type {number}
+   */
+  #pendingOptimisticChanges = 0;
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribeFromCart;
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribeFromCartRules;
+
   connectedCallback() {
     super.connectedCallback();
 
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.addEventListener(ThemeEvents.discountUpdate, this.handleDiscountUpdate);
     document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    this.addEventListener(ThemeEvents.variantSelected, this.#stopVariantEvent);
+    this.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+    this.#unsubscribeFromCartRules = cartRules.subscribe(this.#renderCartRules);
+    this.#renderCartRules(cartRules.state);
+
+    if (this.optimistic) {
+      this.#unsubscribeFromCart = cartStore.subscribe(this.#renderOptimisticCart);
+
+      // Optimistic changes are applied to the stored cart, so it has to be loaded first
+      if (!cartStore.cart) cartStore.refresh();
+    }
   }
 
   disconnectedCallback() {
@@ -38,6 +75,26 @@ class CartItemsComponent extends Component {
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    this.removeEventListener(ThemeEvents.variantSelected, this.#stopVariantEvent);
+    this.removeEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+    this.#unsubscribeFromCart?.();
+    this.#unsubscribeFromCartRules?.();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The server renders the lines without the cart rules messages
+    this.#renderCartRules(cartRules.state);
+  }
+
+  /**
+   * Whether quantity changes are shown right away and rolled back if the server rejects them,
+   * instead of disabling the cart items until the server answers.
+   * @returns {boolean}
+   */
+  get optimistic() {
+    return this.hasAttribute('optimistic-updates');
   }
 
   /**
@@ -58,7 +115,10 @@ class CartItemsComponent extends Component {
       quantity,
       action: 'change',
     });
-    const lineItemRow = this.refs.cartItemRows[line - 1];
+
+    if (this.optimistic) return;
+
+    const lineItemRow = this.#getRow(line);
 
     if (!lineItemRow) return;
 
@@ -69,17 +129,18 @@ class CartItemsComponent extends Component {
   /**
    * Handles the line item removal.
    * @param {number} line - The line item index.
+   * @returns {Promise<Cart | undefined>} The updated cart, or undefined if the removal failed.
    */
   onLineItemRemove(line) {
-    this.updateQuantity({
+    const removal = this.updateQuantity({
       line,
       quantity: 0,
       action: 'clear',
     });
 
-    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
+    const cartItemRowToRemove = this.#getRow(line);
 
-    if (!cartItemRowToRemove) return;
+    if (!cartItemRowToRemove) return removal;
 
     const rowsToRemove = [
       cartItemRowToRemove,
@@ -99,6 +160,199 @@ class CartItemsComponent extends Component {
       // Remove the row after the animation ends
       onAnimationEnd(row, remove);
     });
+
+    return removal;
+  }
+
+  /**
+   * Removes a line from the cart, then moves it to the saved for later list.
+   * @param {number} line - The line.
+   */
+  async onSaveForLater(line) {
+    const row = this.#getRow(line);
+    const cart = cartStore.cart ?? (await cartStore.refresh());
+    const item = cart.items.find(({ key }) => key === row?.dataset.key) ?? cart.items[line - 1];
+
+    if (!item) return;
+
+    // Only save the line once it's out of the cart, so a failed removal doesn't leave it in both
+    if (await this.onLineItemRemove(line)) SavedForLater.addItem(item);
+  }
+
+  /**
+   * Updates the character count of a line item property field.
+   * @param {Event & { target: HTMLInputElement | HTMLTextAreaElement }} event - The input event.
+   */
+  onPropertyInput(event) {
+    const field = event.target;
+    const characterCount = field.parentElement?.querySelector('.cart-items__property-count');
+    const template = characterCount?.getAttribute('data-template');
+
+    if (!characterCount || !template) return;
+
+    characterCount.textContent = template
+      .replace('[current]', field.value.length.toString())
+      .replace('[max]', field.maxLength.toString());
+  }
+
+  /**
+   * Saves the line item properties edited for a line, keeping its quantity.
+   * @param {number} line - The line.
+   * @param {SubmitEvent & { target: HTMLFormElement }} event - The submit event.
+   */
+  onPropertiesSubmit(line, event) {
+    event.preventDefault();
+
+    const form = event.target;
+
+    // Whitespace isn't a valid value, let the required constraint report it
+    for (const field of form.elements) {
+      if (field instanceof HTMLInputElement || field instanceof HTMLTextAreaElement) {
+        if (!field.value.trim()) field.value = '';
+      }
+    }
+
+    if (!form.reportValidity()) return;
+
+    const row = this.#getRow(line);
+    const quantityInput = row?.querySelector('input[data-cart-line]');
+
+    if (!row || !(quantityInput instanceof HTMLInputElement)) return;
+
+    // Private and uploaded properties aren't editable, but /cart/change replaces all of them
+    /** @type {Record<string, string>} */
+    const properties = JSON.parse(form.dataset.properties || '{}');
+    for (const [name, value] of new FormData(form)) {
+      if (typeof value === 'string') properties[name] = value.trim();
+    }
+
+    const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker('properties:user-action');
+    const { key } = row.dataset;
+    const quantity = Number(quantityInput.defaultValue);
+
+    this.#disableCartItems();
+
+    cartStore
+      .change(key ? { id: key, quantity, properties } : { line, quantity, properties }, {
+        sections: [this.sectionId, ...getCartItemsSectionIds()],
+      })
+      .then((cart) => {
+        const sections = cart.sections ?? {};
+
+        this.dispatchEvent(
+          new CartUpdateEvent({}, this.sectionId, {
+            itemCount: cart.item_count,
+            source: 'cart-items-component',
+            sections,
+          })
+        );
+
+        morphSection(this.sectionId, sections[this.sectionId] ?? '');
+
+        this.#updateCartQuantitySelectorButtonStates();
+      })
+      .catch((error) => {
+        if (error instanceof CartError) {
+          this.#handleCartError(line, error);
+        } else {
+          console.error(error);
+        }
+      })
+      .finally(() => {
+        this.#enableCartItems();
+        cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
+      });
+  }
+
+  /**
+   * Keeps the product forms of the page from reacting to the variant pickers of the cart lines.
+   * @param {Event} event - The variant event.
+   */
+  #stopVariantEvent = (event) => {
+    event.stopPropagation();
+  };
+
+  /**
+   * Enables the swap button of a line when its variant picker lands on another available variant.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    this.#stopVariantEvent(event);
+
+    const swap = event.target instanceof Element ? event.target.closest('.cart-items__variant-swap-content') : null;
+    const button = swap?.querySelector('.cart-items__variant-swap-button');
+
+    if (!(swap instanceof HTMLElement) || !(button instanceof HTMLButtonElement)) return;
+
+    const variant = event.detail.resource;
+
+    button.value = variant ? String(variant.id) : '';
+    button.disabled = !variant?.available || button.value === swap.dataset.variantId;
+  };
+
+  /**
+   * Replaces a line with the variant picked in its variant picker, keeping its quantity and properties.
+   * @param {number} line - The line.
+   * @param {MouseEvent & { target: HTMLButtonElement }} event - The click event.
+   */
+  onVariantSwap(line, event) {
+    const button = event.target;
+    const swap = button.closest('.cart-items__variant-swap-content');
+    const row = this.#getRow(line);
+    const quantityInput = row?.querySelector('input[data-cart-line]');
+
+    if (!button.value || !(swap instanceof HTMLElement) || !row || !(quantityInput instanceof HTMLInputElement)) return;
+
+    const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker('swap:user-action');
+    const { key } = row.dataset;
+    const { sellingPlan } = swap.dataset;
+
+    /** @type {CartAddItem} */
+    const item = {
+      id: button.value,
+      quantity: Number(quantityInput.defaultValue),
+      properties: JSON.parse(swap.dataset.properties || '{}'),
+    };
+    if (sellingPlan) item.selling_plan = sellingPlan;
+
+    this.#disableCartItems();
+
+    // The new line is added first, so the current one is kept if the new variant can't be added
+    cartStore
+      .add({ items: [item] })
+      .then(() =>
+        cartStore.change(key ? { id: key, quantity: 0 } : { line, quantity: 0 }, {
+          sections: [this.sectionId, ...getCartItemsSectionIds()],
+        })
+      )
+      .then((cart) => {
+        const sections = cart.sections ?? {};
+
+        this.#updateQuantitySelectors(cart);
+
+        this.dispatchEvent(
+          new CartUpdateEvent({}, this.sectionId, {
+            itemCount: cart.item_count,
+            source: 'cart-items-component',
+            sections,
+          })
+        );
+
+        morphSection(this.sectionId, sections[this.sectionId] ?? '');
+
+        this.#updateCartQuantitySelectorButtonStates();
+      })
+      .catch((error) => {
+        if (error instanceof CartError) {
+          this.#handleCartError(line, error);
+        } else {
+          console.error(error);
+        }
+      })
+      .finally(() => {
+        this.#enableCartItems();
+        cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
+      });
   }
 
   /**
@@ -107,75 +361,81 @@ class CartItemsComponent extends Component {
    * @param {number} config.line - The line.
    * @param {number} config.quantity - The quantity.
    * @param {string} config.action - The action.
+   * @returns {Promise<Cart | undefined>} The updated cart, or undefined if the change failed.
    */
   updateQuantity(config) {
     const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
 
-    this.#disableCartItems();
-
     const { line, quantity } = config;
     const { cartTotal } = this.refs;
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
-      }
-    });
+    // Optimistic changes target the line key, since line indexes shift when earlier lines are removed
+    const key = this.optimistic && cartStore.cart ? this.#getRow(line)?.dataset.key : undefined;
+    const optimistic = key !== undefined;
 
-    const body = JSON.stringify({
-      line: line,
-      quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
-      sections_url: window.location.pathname,
-    });
-
-    cartTotal?.shimmer();
+    if (optimistic) {
+      this.#pendingOptimisticChanges++;
+    } else {
+      this.#disableCartItems();
+      cartTotal?.shimmer();
+    }
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
+    return cartStore
+      .change(key ? { id: key, quantity } : { line, quantity }, {
+        sections: [this.sectionId, ...getCartItemsSectionIds()],
+        optimistic,
       })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
-
+      .then((cart) => {
         resetShimmer(this);
 
-        if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
-          return;
-        }
-
-        const newSectionHTML = new DOMParser().parseFromString(
-          parsedResponseText.sections[this.sectionId],
-          'text/html'
-        );
-
-        // Grab the new cart item count from a hidden element
-        const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
-        const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
+        const sections = cart.sections ?? {};
 
         // Update data-cart-quantity for all matching variants
-        this.#updateQuantitySelectors(parsedResponseText);
+        this.#updateQuantitySelectors(cart);
 
         this.dispatchEvent(
           new CartUpdateEvent({}, this.sectionId, {
-            itemCount: newCartItemCount,
+            itemCount: cart.item_count,
             source: 'cart-items-component',
-            sections: parsedResponseText.sections,
+            sections,
           })
         );
 
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId]);
+        // Morphing while other optimistic changes are in flight would briefly revert them
+        if (cartStore.hasOptimisticChanges) return cart;
+
+        morphSection(this.sectionId, sections[this.sectionId] ?? '');
 
         this.#updateCartQuantitySelectorButtonStates();
+
+        return cart;
       })
-      .catch((error) => {
-        console.error(error);
+      .catch(async (error) => {
+        // The removed rows are already gone, bring them back before showing the error on them
+        if (optimistic && quantity === 0) {
+          await sectionRenderer.renderSection(this.sectionId, { cache: false }).catch(console.error);
+        }
+
+        if (error instanceof CartError) {
+          resetShimmer(this);
+          this.#handleCartError(line, error);
+
+          if (optimistic) {
+            this.dispatchEvent(new CartErrorEvent(this.sectionId, error.message, error.description, error.errors));
+          }
+        } else {
+          console.error(error);
+        }
+
+        return undefined;
       })
       .finally(() => {
-        this.#enableCartItems();
+        if (optimistic) {
+          this.#pendingOptimisticChanges--;
+        } else {
+          this.#enableCartItems();
+        }
+
         cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
       });
   }
@@ -191,14 +451,13 @@ class CartItemsComponent extends Component {
   /**
    * Handles the cart error.
    * @param {number} line - The line.
-   * @param {Object} parsedResponseText - The parsed response text.
-   * @param {string} parsedResponseText.errors - The errors.
+   * @param {CartError} error - The error returned by the cart API.
    */
-  #handleCartError = (line, parsedResponseText) => {
-    const quantitySelector = this.refs.quantitySelectors[line - 1];
-    const quantityInput = quantitySelector?.querySelector('input');
+  #handleCartError = (line, error) => {
+    const quantityInput = this.#getRow(line)?.querySelector('input');
 
-    if (!quantityInput) throw new Error('Quantity input not found');
+    // The row can be gone when the section was re-rendered in the meantime
+    if (!quantityInput) return;
 
     quantityInput.value = quantityInput.defaultValue;
 
@@ -208,7 +467,7 @@ class CartItemsComponent extends Component {
     if (!(cartItemError instanceof HTMLElement)) throw new Error('Cart item error not found');
     if (!(cartItemErrorContainer instanceof HTMLElement)) throw new Error('Cart item error container not found');
 
-    cartItemError.textContent = parsedResponseText.errors;
+    cartItemError.textContent = error.errors ?? error.message;
     cartItemErrorContainer.classList.remove('hidden');
   };
 
@@ -224,6 +483,9 @@ class CartItemsComponent extends Component {
     }
     if (event.target === this) return;
 
+    // The last response of the pending optimistic changes will bring the final markup
+    if (this.optimistic && cartStore.hasOptimisticChanges) return;
+
     const cartItemsHtml = event.detail.data.sections?.[this.sectionId];
     if (cartItemsHtml) {
       morphSection(this.sectionId, cartItemsHtml);
@@ -235,6 +497,80 @@ class CartItemsComponent extends Component {
     }
   };
 
+  /**
+   * Flags the lines whose product doesn't meet the cart rules, with the reason why.
+   * @param {import('./cart-rules').CartRulesState} state - The cart rules state.
+   */
+  #renderCartRules = ({ violations }) => {
+    for (const row of this.refs.cartItemRows ?? []) {
+      const message = row.querySelector('[data-cart-rules-message]');
+      if (!(message instanceof HTMLElement)) continue;
+
+      const text = violations
+        .filter(({ productId }) => productId !== undefined && String(productId) === row.dataset.productId)
+        .map((violation) => violation.message)
+        .join(' ');
+
+      row.classList.toggle('cart-items__table-row--rule-violation', text !== '');
+      message.textContent = text;
+      message.hidden = text === '';
+    }
+  };
+
+  /**
+   * Reflects the stored cart in the quantities and prices of the rendered lines while optimistic changes are pending.
+   * On success the section is morphed with the server markup, on failure this restores the previous values.
+   * @param {Cart} cart - The stored cart, optimistic changes included.
+   */
+  #renderOptimisticCart = (cart) => {
+    if (!this.#pendingOptimisticChanges) return;
+
+    const { settings } = Theme;
+    const itemsFormat = settings.currency_code_enabled_cart_items
+      ? settings.money_with_currency_format
+      : settings.money_format;
+    const totalFormat = settings.currency_code_enabled_cart_total
+      ? settings.money_with_currency_format
+      : settings.money_format;
+
+    for (const row of this.refs.cartItemRows ?? []) {
+      const item = cart.items.find((item) => item.key === row.dataset.key);
+      if (!item) continue;
+
+      const quantityInput = row.querySelector('input[data-cart-line]');
+      if (quantityInput instanceof HTMLInputElement && document.activeElement !== quantityInput) {
+        quantityInput.value = String(item.quantity);
+      }
+
+      const linePrice = row.querySelector('.cart-items__price text-component');
+      if (linePrice) setText(linePrice, formatMoney(item.final_line_price, cart.currency, itemsFormat));
+
+      const unitPrice = row.querySelector('.cart-items__price-unit .unit-price__value');
+      if (unitPrice && item.unit_price !== undefined && item.unit_price_measurement) {
+        unitPrice.textContent = formatUnitPrice(
+          item.unit_price,
+          item.unit_price_measurement,
+          cart.currency,
+          itemsFormat
+        );
+      }
+    }
+
+    const { cartTotal } = this.refs;
+    if (cartTotal) setText(cartTotal, formatMoney(cart.total_price, cart.currency, totalFormat));
+
+    this.#updateCartQuantitySelectorButtonStates();
+  };
+
+  /**
+   * Gets the row of a line.
+   * @param {number} line - The 1-based line index, as rendered by the server.
+   * @returns {HTMLTableRowElement | undefined} The row.
+   */
+  #getRow(line) {
+    return this.refs.cartItemRows?.find((row) => row.querySelector(`input[data-cart-line="${line}"]`));
+  }
+
   /**
    * Disables the cart items.
    */
@@ -302,6 +638,16 @@ class CartItemsComponent extends Component {
   }
 }
 
+/**
+ * Sets the text and value of a price element.
+ * @param {Element} element - The price element.
+ * @param {string} text - The formatted price.
+ */
+function setText(element, text) {
+  element.textContent = text;
+  element.setAttribute('value', text);
+}
+
 if (!customElements.get('cart-items-component')) {
   customElements.define('cart-items-component', CartItemsComponent);
 }
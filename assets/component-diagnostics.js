@@ -0,0 +1,298 @@
+/**
+ * Developer diagnostics for components, logged to the console and listed in an overlay on the page.
+ *
+ * Only enabled in the theme editor: watching the listeners patches `EventTarget.prototype` and `customElements.define`,
+ * which the storefront must never pay for.
+ */
+
+/**
+ * Whether diagnostics are reported.
+ * @type {boolean}
+ */
+export const diagnosticsEnabled = Boolean(window.Shopify?.designMode);
+
+/**
+ * The messages already reported, so repeated events don't flood the overlay.
+ * @type {Set<string>}
+ */
+const reported = new Set();
+
+/**
+ * The listeners that are meant to stay attached, like the ones delegating `on:` attributes.
+ * @type {WeakSet<object>}
+ */
+const persistentListeners = new WeakSet();
+
+/**
+ * The overlay listing the diagnostics, created with the first one.
+ * @type {HTMLElement | undefined}
+ */
+let overlay;
+
+/**
+ * Reports a diagnostic when diagnostics are enabled.
+ *
+ * @param {string} message - What went wrong and how to fix it.
+ * @param {Element} [element] - The element the diagnostic is about, logged to inspect it.
+ */
+export function reportDiagnostic(message, element) {
+  if (!diagnosticsEnabled) return;
+
+  const description = element ? `${describeElement(element)}: ${message}` : message;
+  if (reported.has(description)) return;
+
+  reported.add(description);
+  console.warn(`[component diagnostics] ${description}`, ...(element ? [element] : []));
+  renderOverlayItem(description);
+}
+
+/**
+ * Marks a listener as meant to stay attached, so it isn't reported when added while a component connects.
+ *
+ * @param {object} listener - The listener.
+ */
+export function persistListener(listener) {
+  persistentListeners.add(listener);
+}
+
+/**
+ * Reports the listeners components add outside of themselves while connecting and don't remove once disconnected.
+ *
+ * Wraps the lifecycle callbacks of the component classes defined from now on, and records the listeners added
+ * to other targets, like the document or window, while their `connectedCallback` runs.
+ *
+ * @param {Function} baseClass - The base class of the components to watch.
+ */
+export function watchComponentListeners(baseClass) {
+  if (!diagnosticsEnabled) return;
+
+  /**
+   * The components whose `connectedCallback` is running, innermost last.
+   * @type {Element[]}
+   */
+  const connecting = [];
+
+  /**
+   * The connected components, which may have listeners to report.
+   * @type {Set<Element>}
+   */
+  const watched = new Set();
+
+  /**
+   * The listeners each component added outside of itself, by key.
+   * @type {WeakMap<Element, Map<string, { target: EventTarget, type: string }>>}
+   */
+  const listeners = new WeakMap();
+
+  /**
+   * Identifies a listener like `removeEventListener` does, by target, type, callback and capture.
+   * @param {EventTarget} target
+   * @param {string} type
+   * @param {unknown} listener
+   * @param {boolean | EventListenerOptions | undefined} options
+   * @returns {string}
+   */
+  const getKey = (target, type, listener, options) => {
+    const capture = typeof options === 'boolean' ? options : Boolean(options?.capture);
+    const listenerId =
+      listener && (typeof listener === 'object' || typeof listener === 'function') ? getId(listener) : '';
+
+    return [type, capture, getId(target), listenerId].join('|');
+  };
+
+  const { addEventListener, removeEventListener } = EventTarget.prototype;
+
+  /**
+   * @this {EventTarget}
+   * @param {string} type
+   * @param {EventListenerOrEventListenerObject | null} listener
+   * @param {boolean | AddEventListenerOptions} [options]
+   */
+  EventTarget.prototype.addEventListener = function (type, listener, options) {
+    const component = connecting[connecting.length - 1];
+    const outside = component && !(this instanceof Node && component.contains(this));
+    const once = typeof options === 'object' && options?.once;
+    const inOverlay = this instanceof Node && this.getRootNode() === overlay?.shadowRoot;
+    const persistent = !listener || persistentListeners.has(listener) || inOverlay;
+
+    if (component && outside && !once && !persistent) {
+      const componentListeners = listeners.get(component) ?? new Map();
+      componentListeners.set(getKey(this, type, listener, options), { target: this, type });
+      listeners.set(component, componentListeners);
+    }
+
+    return addEventListener.call(this, type, listener, options);
+  };
+
+  /**
+   * @this {EventTarget}
+   * @param {string} type
+   * @param {EventListenerOrEventListenerObject | null} listener
+   * @param {boolean | EventListenerOptions} [options]
+   */
+  EventTarget.prototype.removeEventListener = function (type, listener, options) {
+    const key = getKey(this, type, listener, options);
+
+    // Listeners can be removed from anywhere, like the handler of another event
+    for (const component of watched) {
+      listeners.get(component)?.delete(key);
+    }
+
+    return removeEventListener.call(this, type, listener, options);
+  };
+
+  const { define } = customElements;
+
+  customElements.define = function (name, constructor, options) {
+    if (constructor.prototype instanceof baseClass) {
+      const prototype = /** @type {HTMLElement & { connectedCallback?(): void, disconnectedCallback?(): void }} */ (
+        constructor.prototype
+      );
+      const { connectedCallback, disconnectedCallback } = prototype;
+
+      /** @this {HTMLElement} */
+      prototype.connectedCallback = function () {
+        connecting.push(this);
+        watched.add(this);
+
+        try {
+          return connectedCallback?.call(this);
+        } finally {
+          connecting.pop();
+        }
+      };
+
+      /** @this {HTMLElement} */
+      prototype.disconnectedCallback = function () {
+        const result = disconnectedCallback?.call(this);
+
+        // Only report once the element is really gone, not when it's moved
+        queueMicrotask(() => {
+          if (this.isConnected) return;
+
+          for (const { target, type } of listeners.get(this)?.values() ?? []) {
+            reportDiagnostic(
+              `a "${type}" listener added to ${describeTarget(target)} in connectedCallback is still attached after ` +
+                'disconnectedCallback, remove it there',
+              this
+            );
+          }
+
+          listeners.delete(this);
+          watched.delete(this);
+        });
+
+        return result;
+      };
+    }
+
+    return define.call(this, name, constructor, options);
+  };
+}
+
+/**
+ * The ids of the targets and listeners, so they can be matched when removed.
+ * @type {WeakMap<object, number>}
+ */
+const ids = new WeakMap();
+let lastId = 0;
+
+/**
+ * Gets the id of a target or listener.
+ *
+ * @param {object} object - The target or listener.
+ * @returns {number} The id.
+ */
+function getId(object) {
+  let id = ids.get(object);
+
+  if (id === undefined) {
+    id = ++lastId;
+    ids.set(object, id);
+  }
+
+  return id;
+}
+
+/**
+ * Describes an element for a diagnostic, like `cart-items-component#cart`.
+ *
+ * @param {Element} element - The element.
+ * @returns {string} The description.
+ */
+function describeElement(element) {
+  const id = element.id ? `#${element.id}` : '';
+  const ref = element.getAttribute('ref') ? `[ref="${element.getAttribute('ref')}"]` : '';
+
+  return `<${element.tagName.toLowerCase()}${id}${ref}>`;
+}
+
+/**
+ * Describes an event target for a diagnostic.
+ *
+ * @param {EventTarget} target - The target.
+ * @returns {string} The description.
+ */
+function describeTarget(target) {
+  if (target === window) return 'the window';
+  if (target === document) return 'the document';
+  if (target instanceof Element) return describeElement(target);
+
+  return target.constructor.name;
+}
+
+/**
+ * Adds a diagnostic to the overlay, creating it first if needed.
+ *
+ * @param {string} description - The diagnostic.
+ */
+function renderOverlayItem(description) {
+  if (!document.body) {
+    document.addEventListener('DOMContentLoaded', () => renderOverlayItem(description), { once: true });
+    return;
+  }
+
+  if (!overlay) {
+    overlay = document.createElement('aside');
+    overlay.setAttribute('aria-label', 'Component diagnostics');
+
+    const shadow = overlay.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `
+      <style>
+        :host {
+          all: initial;
+          position: fixed;
+          inset-block-end: 8px;
+          inset-inline-end: 8px;
+          z-index: 2147483647;
+          max-inline-size: min(480px, calc(100vw - 16px));
+          max-block-size: 40vh;
+          overflow: auto;
+          padding: 8px 12px;
+          border-radius: 6px;
+          background: #1f1f1f;
+          color: #fff;
+          font: 12px/1.4 ui-monospace, monospace;
+          box-shadow: 0 4px 16px rgb(0 0 0 / 0.3);
+        }
+        header { display: flex; justify-content: space-between; gap: 8px; font-weight: bold; }
+        button { all: unset; cursor: pointer; }
+        ol { margin: 8px 0 0; padding-inline-start: 16px; }
+        li + li { margin-block-start: 4px; }
+      </style>
+      <header>
+        <span>Component diagnostics</span>
+        <button type="button" aria-label="Close">✕</button>
+      </header>
+      <ol></ol>
+    `;
+
+    shadow.querySelector('button')?.addEventListener('click', () => overlay?.remove());
+  }
+
+  const item = document.createElement('li');
+  item.textContent = description;
+  overlay.shadowRoot?.querySelector('ol')?.append(item);
+
+  if (!overlay.isConnected) document.body.append(overlay);
+}
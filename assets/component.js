@@ -1,5 +1,12 @@
 import { DeclarativeShadowElement } from '@theme/critical';
-import { requestIdleCallback } from '@theme/utilities';
+import {
+  diagnosticsEnabled,
+  persistListener,
+  reportDiagnostic,
+  watchComponentListeners,
+} from '@theme/component-diagnostics';
+import { ThemeEvents } from '@theme/events';
+import { debounce, scheduler } from '@theme/utilities';
 
 /**
  * @typedef {Record<string, Element | Element[] | undefined>} Refs
@@ -10,22 +17,72 @@ import { requestIdleCallback } from '@theme/utilities';
  * @typedef {T & Refs} RefsType
  */
 
+/**
+ * @typedef {StringConstructor | NumberConstructor | BooleanConstructor | ObjectConstructor | ArrayConstructor} PropType
+ */
+
+/**
+ * @typedef {Object} PropDefinition
+ * @property {PropType} [type] - How the attribute value is coerced, `String` by default. Objects and arrays are
+ * read as JSON.
+ * @property {unknown} [default] - The value when the attribute is missing or invalid.
+ * @property {string | false} [attribute] - The attribute of the prop, the kebab-cased prop name by default.
+ * @property {boolean} [reflect] - Whether setting the prop also sets the attribute.
+ */
+
 /**
  * Base class that powers our custom web components.
  *
  * Manages references to child elements with `ref` attributes and sets up mutation observers to keep
  * the refs updated when the DOM changes. Also handles declarative event listeners using.
  *
+ * The props declared in `static props` are read from their attributes into `this.props`, and the state declared in
+ * `static state` is held in `this.state`. Props and state share one namespace, so their names must differ.
+ * Changing either calls `stateChangedCallback` once in the next frame, through the `scheduler`.
+ *
+ * @example
+ * class ExampleComponent extends Component {
+ *   static props = { autoplay: { type: Number, default: 5 }, paused: { type: Boolean, reflect: true } };
+ *   static state = { current: 0 };
+ *
+ *   stateChangedCallback(changed) {
+ *     if (changed.has('current')) this.refs.status.textContent = String(this.state.current);
+ *   }
+ * }
+ *
  * @template {Refs} [T=Refs]
+ * @template {Record<string, unknown>} [P=Record<string, unknown>]
+ * @template {Record<string, unknown>} [S=Record<string, unknown>]
  * @extends {DeclarativeShadowElement}
  */
 export class Component extends DeclarativeShadowElement {
   /**
-   * An object holding references to child elements with `ref` attributes.
+   * The references to child elements with `ref` attributes, as of the last time they were resolved.
    *
    * @type {RefsType<T>}
    */
-  refs = /** @type {RefsType<T>} */ ({});
+  #refs = /** @type {RefsType<T>} */ ({});
+
+  /**
+   * The elements added or whose `ref` changed since the refs were last resolved, to look for refs in.
+   *
+   * @type {Set<Element>}
+   */
+  #touchedRefs = new Set();
+
+  /**
+   * Whether elements were removed or their `ref` changed since the refs were last resolved.
+   *
+   * @type {boolean}
+   */
+  #refsRemoved = false;
+
+  /**
+   * The callbacks of `waitForRef`, by ref name.
+   *
+   * @type {Map<string, Set<(ref: Element | Element[]) => void>>}
+   */
+  #refWaiters = new Map();
 
   /**
    * An array of required refs. If a ref is not found, an error will be thrown.
@@ -34,6 +91,78 @@ export class Component extends DeclarativeShadowElement {
    */
   requiredRefs;
 
+  /**
+   * The props of the component, read from their attributes.
+   *
+   * @type {Record<string, PropDefinition>}
+   */
+  static props = {};
+
+  /**
+   * The initial state of the component. Unlike props, state has no attribute.
+   *
+   * @type {Record<string, unknown>}
+   */
+  static state = {};
+
+  /**
+   * The attributes of the props. Subclasses that observe other attributes should include these.
+   *
+   * @returns {string[]} The attribute names.
+   */
+  static get observedAttributes() {
+    return Object.entries(this.props).flatMap(([name, definition]) => getPropAttribute(name, definition) || []);
+  }
+
+  /**
+   * A promise that resolves once the pending `stateChangedCallback` ran.
+   *
+   * @type {Promise<void>}
+   */
+  updateComplete = Promise.resolve();
+
+  /**
+   * The values of the props and state, set once they're first read or changed.
+   *
+   * @type {Map<string, unknown>}
+   */
+  #values = new Map();
+
+  /**
+   * The props and state changed since the last `stateChangedCallback`, with their previous values.
+   *
+   * @type {Map<string, unknown>}
+   */
+  #changed = new Map();
+
+  /**
+   * Resolves `updateComplete`, set while an update is scheduled.
+   *
+   * @type {(() => void) | undefined}
+   */
+  #resolveUpdate;
+
+  /**
+   * The attribute being set from its prop, so the change isn't read back.
+   *
+   * @type {string | undefined}
+   */
+  #reflecting;
+
+  /**
+   * The props of the component. Setting a reflected prop also sets its attribute.
+   *
+   * @type {P}
+   */
+  props = /** @type {P} */ (this.#createValues('props'));
+
+  /**
+   * The state of the component.
+   *
+   * @type {S}
+   */
+  state = /** @type {S} */ (this.#createValues('state'));
+
   /**
    * Gets the root node of the component, which is either its shadow root or the component itself.
    *
@@ -43,6 +172,69 @@ export class Component extends DeclarativeShadowElement {
     return this.shadowRoot ? [this, this.shadowRoot] : [this];
   }
 
+  /**
+   * An object holding references to child elements with `ref` attributes.
+   *
+   * Resolved when read, only looking at the subtrees that changed since the last read.
+   *
+   * @returns {RefsType<T>} The refs.
+   */
+  get refs() {
+    this.#handleMutations(this.#mutationObserver.takeRecords());
+    this.#resolveTouchedRefs();
+    // Taking the records keeps the observer from seeing them, so the refs waited for are resolved here too
+    this.#resolveRefWaiters();
+
+    return this.#refs;
+  }
+
+  /**
+   * Waits for a ref to be in the component, like one rendered by a later section update.
+   *
+   * @template {keyof T & string} K
+   * @param {K} name - The ref name, without `[]` for arrays.
+   * @returns {Promise<NonNullable<RefsType<T>[K]>>} The ref, once it's there.
+   */
+  waitForRef(name) {
+    const ref = this.refs[name];
+    if (ref) return Promise.resolve(/** @type {NonNullable<RefsType<T>[K]>} */ (ref));
+
+    return new Promise((resolve) => {
+      const waiters = this.#refWaiters.get(name) ?? new Set();
+
+      waiters.add(/** @type {(ref: Element | Element[]) => void} */ (resolve));
+      this.#refWaiters.set(name, waiters);
+    });
+  }
+
+  /**
+   * Gets the elements with a ref, including the ones that belong to nested components and are inside their
+   * shadow roots, like a group of inputs spread over several nested components.
+   *
+   * @template {Element} [E=Element]
+   * @param {string} name - The ref name, matching both `ref="name"` and `ref="name[]"`.
+   * @param {{ new (...args: any[]): E }} [type] - Only gets the elements of this type.
+   * @returns {E[]} The elements, in document order within each root.
+   */
+  queryRefs(name, type) {
+    /** @type {E[]} */
+    const elements = [];
+
+    /** @param {ParentNode} root */
+    const visit = (root) => {
+      for (const element of root.querySelectorAll('*')) {
+        const { path } = parseRef(element);
+
+        if (path === name && (!type || element instanceof type)) elements.push(/** @type {E} */ (element));
+        if (element.shadowRoot) visit(element.shadowRoot);
+      }
+    };
+
+    for (const root of this.roots) visit(root);
+
+    return elements;
+  }
+
   /**
    * Called when the element is connected to the document's DOM.
    *
@@ -50,27 +242,28 @@ export class Component extends DeclarativeShadowElement {
    */
   connectedCallback() {
     super.connectedCallback();
-    registerEventListeners();
+    registerEventListeners(this.roots);
 
     this.#updateRefs();
 
-    requestIdleCallback(() => {
-      for (const root of this.roots) {
-        this.#mutationObserver.observe(root, {
-          childList: true,
-          subtree: true,
-          attributes: true,
-          attributeFilter: ['ref'],
-          attributeOldValue: true,
-        });
-      }
-    });
+    // Observed right away, refs added before an idle callback would run are missed otherwise
+    for (const root of this.roots) {
+      this.#mutationObserver.observe(root, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['ref'],
+        attributeOldValue: true,
+      });
+    }
   }
 
   /**
    * Called when the element is re-rendered by the Section Rendering API.
    */
   updatedCallback() {
+    // The refs are resolved again from scratch. Elements added by the update were recorded by the mutation observer,
+    // and `on:` attributes added to existing elements are registered by the morph
     this.#mutationObserver.takeRecords();
     this.#updateRefs();
   }
@@ -84,6 +277,134 @@ export class Component extends DeclarativeShadowElement {
     this.#mutationObserver.disconnect();
   }
 
+  /**
+   * Called when an observed attribute changes. Subclasses that override it should call `super`.
+   *
+   * @param {string} name - The attribute name.
+   * @param {string | null} oldValue - The previous value.
+   * @param {string | null} newValue - The new value.
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (name === this.#reflecting) return;
+
+    const { props } = /** @type {typeof Component} */ (this.constructor);
+
+    for (const [prop, definition] of Object.entries(props)) {
+      if (getPropAttribute(prop, definition) === name) this.#setValue(prop, parseAttribute(newValue, definition));
+    }
+  }
+
+  /**
+   * Called once per frame after props or state changed, while the component is connected.
+   *
+   * @param {Map<string, unknown>} changed - The changed props and state, with their previous values.
+   */
+  stateChangedCallback(changed) {}
+
+  /**
+   * Schedules a call to `stateChangedCallback`, batched with the other changes of the frame.
+   *
+   * @param {string} [name] - The changed prop or state.
+   * @param {unknown} [oldValue] - Its previous value.
+   */
+  requestUpdate(name, oldValue) {
+    if (name !== undefined && !this.#changed.has(name)) this.#changed.set(name, oldValue);
+    if (this.#resolveUpdate) return;
+
+    this.updateComplete = new Promise((resolve) => (this.#resolveUpdate = resolve));
+    scheduler.schedule(this.#update);
+  }
+
+  #update = () => {
+    const changed = new Map(this.#changed);
+    const resolve = this.#resolveUpdate;
+
+    this.#changed.clear();
+    this.#resolveUpdate = undefined;
+
+    try {
+      if (this.isConnected) this.stateChangedCallback(changed);
+    } finally {
+      resolve?.();
+    }
+  };
+
+  /**
+   * Gets the value of a prop or state, reading it from its attribute or default the first time.
+   *
+   * @param {string} name - The prop or state.
+   * @returns {unknown} The value.
+   */
+  #getValue(name) {
+    if (this.#values.has(name)) return this.#values.get(name);
+
+    const { props, state } = /** @type {typeof Component} */ (this.constructor);
+    const definition = props[name];
+    const attribute = definition && getPropAttribute(name, definition);
+    const value = definition
+      ? parseAttribute(attribute ? this.getAttribute(attribute) : null, definition)
+      : cloneDefault(state[name]);
+
+    this.#values.set(name, value);
+
+    return value;
+  }
+
+  /**
+   * Sets the value of a prop or state, reflects it to its attribute if needed and schedules an update.
+   *
+   * @param {string} name - The prop or state.
+   * @param {unknown} value - The new value.
+   * @param {boolean} [reflect] - Whether to set the attribute of a reflected prop.
+   */
+  #setValue(name, value, reflect = false) {
+    const oldValue = this.#getValue(name);
+    if (Object.is(oldValue, value)) return;
+
+    this.#values.set(name, value);
+
+    const { props } = /** @type {typeof Component} */ (this.constructor);
+    const definition = props[name];
+    const attribute = definition && getPropAttribute(name, definition);
+
+    if (reflect && definition?.reflect && attribute) {
+      this.#reflecting = attribute;
+      reflectAttribute(this, attribute, value, definition);
+      this.#reflecting = undefined;
+    }
+
+    this.requestUpdate(name, oldValue);
+  }
+
+  /**
+   * Creates the object holding the props or the state, which reads and sets their values.
+   *
+   * @param {'props' | 'state'} kind - Whether the object holds the props or the state.
+   * @returns {Record<string, unknown>} The object.
+   */
+  #createValues(kind) {
+    const getNames = () => Object.keys(/** @type {typeof Component} */ (this.constructor)[kind]);
+
+    return new Proxy(
+      {},
+      {
+        get: (_, name) => (typeof name === 'string' && getNames().includes(name) ? this.#getValue(name) : undefined),
+        set: (_, name, value) => {
+          if (typeof name !== 'string' || !getNames().includes(name)) return false;
+
+          this.#setValue(name, value, true);
+          return true;
+        },
+        has: (_, name) => typeof name === 'string' && getNames().includes(name),
+        ownKeys: () => getNames(),
+        getOwnPropertyDescriptor: (_, name) =>
+          typeof name === 'string' && getNames().includes(name)
+            ? { value: this.#getValue(name), writable: true, enumerable: true, configurable: true }
+            : undefined,
+      }
+    );
+  }
+
   /**
    * Updates the `refs` object by querying all descendant elements with `ref` attributes and storing references to them.
    *
@@ -101,45 +422,185 @@ export class Component extends DeclarativeShadowElement {
     }, /** @type {Set<Element>} */ (new Set()));
 
     for (const ref of elements) {
-      const refName = ref.getAttribute('ref') ?? '';
-      const isArray = refName.endsWith('[]');
-      const path = isArray ? refName.slice(0, -2) : refName;
+      const { path, isArray } = parseRef(ref);
 
-      if (isArray) {
-        const array = Array.isArray(refs[path]) ? refs[path] : [];
-
-        array.push(ref);
-        refs[path] = array;
-      } else {
-        refs[path] = ref;
+      if (diagnosticsEnabled && !isArray && path in refs) {
+        reportDiagnostic(`ref "${path}" is set on more than one element, use ref="${path}[]" to keep them all`, this);
       }
+
+      addRef(refs, ref);
     }
 
+    if (diagnosticsEnabled) this.#reportNestedRefs();
+
     if (this.requiredRefs?.length) {
       for (const ref of this.requiredRefs) {
         if (!(ref in refs)) {
-          throw new MissingRefError(ref, this);
+          const error = new MissingRefError(ref, this);
+          reportDiagnostic(error.message, this);
+          throw error;
         }
       }
     }
 
-    this.refs = /** @type {RefsType<T>} */ (refs);
+    this.#refs = /** @type {RefsType<T>} */ (refs);
+    this.#touchedRefs.clear();
+    this.#refsRemoved = false;
+    this.#resolveRefWaiters();
+  }
+
+  /**
+   * Updates the refs from the elements added, removed or whose `ref` changed since they were last resolved,
+   * without querying the whole component again.
+   */
+  #resolveTouchedRefs() {
+    if (!this.#touchedRefs.size && !this.#refsRemoved) return;
+
+    const refs = /** @type any */ (
+      Object.fromEntries(Object.entries(this.#refs).map(([path, ref]) => [path, Array.isArray(ref) ? [...ref] : ref]))
+    );
+
+    if (this.#refsRemoved) {
+      for (const [path, ref] of Object.entries(refs)) {
+        if (Array.isArray(ref)) {
+          refs[path] = ref.filter((element) => this.#isRef(element, `${path}[]`));
+          if (!refs[path].length) delete refs[path];
+        } else if (!(ref instanceof Element) || !this.#isRef(ref, path)) {
+          delete refs[path];
+        }
+      }
+    }
+
+    /** @type {Set<string>} */
+    const addedArrays = new Set();
+
+    for (const node of this.#touchedRefs) {
+      if (!node.isConnected) continue;
+
+      const elements = node.hasAttribute('ref')
+        ? [node, ...node.querySelectorAll('[ref]')]
+        : node.querySelectorAll('[ref]');
+
+      for (const element of elements) {
+        if (!this.#isDescendant(element)) continue;
+
+        const { path, isArray } = parseRef(element);
+        if (isArray) addedArrays.add(path);
+
+        addRef(refs, element);
+      }
+    }
+
+    // Added elements go to the end of their arrays, sort them back in document order
+    for (const path of addedArrays) {
+      refs[path]?.sort((/** @type {Element} */ a, /** @type {Element} */ b) =>
+        a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+      );
+    }
+
+    this.#refs = refs;
+    this.#touchedRefs.clear();
+    this.#refsRemoved = false;
+  }
+
+  /**
+   * Checks if an element is still a ref of this component, with the given `ref` attribute.
+   *
+   * @param {Element} element - The element.
+   * @param {string} ref - The expected `ref` attribute.
+   * @returns {boolean} True if the element is a ref of this component.
+   */
+  #isRef(element, ref) {
+    return element.getAttribute('ref') === ref && this.#isDescendant(element);
   }
 
   /**
-   * MutationObserver instance to observe changes in the component's DOM subtree and update refs accordingly.
+   * Records the elements that mutations added, removed or changed the `ref` of, to resolve the refs from.
+   *
+   * @param {MutationRecord[]} mutations - The mutations.
+   */
+  #handleMutations(mutations) {
+    /** @type {Element[]} */
+    const added = [];
+
+    for (const mutation of mutations) {
+      if (mutation.type === 'attributes') {
+        if (mutation.target instanceof Element) this.#touchedRefs.add(mutation.target);
+        this.#refsRemoved = true;
+        continue;
+      }
+
+      for (const node of mutation.addedNodes) {
+        if (!(node instanceof Element)) continue;
+
+        added.push(node);
+        this.#touchedRefs.add(node);
+      }
+
+      if ([...mutation.removedNodes].some((node) => node instanceof Element)) this.#refsRemoved = true;
+    }
+
+    // Added elements can name events that aren't listened to yet
+    registerEventListeners(added);
+  }
+
+  /**
+   * Resolves the `waitForRef` promises of the refs that are now in the component.
+   */
+  #resolveRefWaiters() {
+    for (const [name, waiters] of this.#refWaiters) {
+      const ref = this.#refs[name];
+      if (!ref) continue;
+
+      for (const resolve of waiters) resolve(ref);
+      this.#refWaiters.delete(name);
+    }
+  }
+
+  /**
+   * Reports the refs no component picks up, because a nested element that isn't a `Component` owns them,
+   * and the required refs that only exist in nested components.
+   */
+  #reportNestedRefs() {
+    for (const root of this.roots) {
+      for (const element of root.querySelectorAll('[ref]')) {
+        if (this.#isDescendant(element)) continue;
+
+        const owner = getClosestComponent(getAncestor(element));
+        const ref = element.getAttribute('ref') ?? '';
+
+        // Nested components that aren't defined yet will pick their refs up once they are
+        if (!owner || owner instanceof Component || !customElements.get(owner.localName)) continue;
+
+        reportDiagnostic(
+          `ref "${ref}" is inside <${owner.localName}>, which isn't a Component, so no component receives it`,
+          element
+        );
+      }
+
+      for (const ref of this.requiredRefs ?? []) {
+        const nested = root.querySelector(`[ref="${CSS.escape(ref)}"], [ref="${CSS.escape(ref)}[]"]`);
+
+        if (nested && !this.#isDescendant(nested)) {
+          reportDiagnostic(`required ref "${ref}" is inside a nested component, which receives it instead`, this);
+        }
+      }
+    }
+  }
+
+  /**
+   * MutationObserver instance to observe changes in the component's DOM subtree and update refs and event listeners
+   * accordingly.
    *
    * @type {MutationObserver}
    */
   #mutationObserver = new MutationObserver((mutations) => {
-    if (
-      mutations.some(
-        (m) =>
-          (m.type === 'attributes' && this.#isDescendant(m.target)) ||
-          (m.type === 'childList' && [...m.addedNodes, ...m.removedNodes].some(this.#isDescendant))
-      )
-    ) {
-      this.#updateRefs();
+    this.#handleMutations(mutations);
+
+    // Refs are resolved when read, unless a ref is waited for
+    if (this.#refWaiters.size) {
+      this.#resolveTouchedRefs();
+      this.#resolveRefWaiters();
     }
   });
 
@@ -152,6 +613,40 @@ export class Component extends DeclarativeShadowElement {
   #isDescendant = (node) => getClosestComponent(getAncestor(node)) === this;
 }
 
+watchComponentListeners(Component);
+
+/**
+ * Parses the `ref` attribute of an element.
+ *
+ * @param {Element} element - The element.
+ * @returns {{ path: string, isArray: boolean }} The ref name, and whether it's part of an array.
+ */
+function parseRef(element) {
+  const refName = element.getAttribute('ref') ?? '';
+  const isArray = refName.endsWith('[]');
+
+  return { path: isArray ? refName.slice(0, -2) : refName, isArray };
+}
+
+/**
+ * Adds an element to a refs object, to its array if its ref is one.
+ *
+ * @param {Record<string, Element | Element[] | undefined>} refs - The refs object.
+ * @param {Element} element - The element.
+ */
+function addRef(refs, element) {
+  const { path, isArray } = parseRef(element);
+
+  if (isArray) {
+    const array = Array.isArray(refs[path]) ? refs[path] : [];
+
+    if (!array.includes(element)) array.push(element);
+    refs[path] = array;
+  } else {
+    refs[path] = element;
+  }
+}
+
 /**
  * Get the ancestor of a given node.
  *
@@ -185,98 +680,448 @@ function getClosestComponent(node) {
 }
 
 /**
- * Initializes the event listeners for custom event handling.
+ * Gets the attribute of a prop.
+ *
+ * @param {string} name - The prop name.
+ * @param {PropDefinition} definition - The prop definition.
+ * @returns {string | false} The attribute name, or false if the prop has none.
+ */
+function getPropAttribute(name, { attribute }) {
+  if (attribute !== undefined) return attribute;
+
+  return name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Coerces an attribute value to the type of its prop.
+ *
+ * @param {string | null} value - The attribute value.
+ * @param {PropDefinition} definition - The prop definition.
+ * @returns {unknown} The prop value.
+ */
+function parseAttribute(value, definition) {
+  const { type = String } = definition;
+
+  if (type === Boolean) return value === null ? Boolean(definition.default) : value !== 'false';
+  if (value === null) return cloneDefault(definition.default);
+
+  if (type === Number) {
+    const number = Number(value);
+    return value.trim() === '' || isNaN(number) ? cloneDefault(definition.default) : number;
+  }
+
+  if (type === Object || type === Array) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return cloneDefault(definition.default);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Sets the attribute of a prop from its value, or removes it for empty and false values.
  *
- * Sets up event listeners for specified events and delegates the handling of those events
- * to methods defined on the closest `Component` instance, based on custom attributes.
+ * @param {Element} element - The component.
+ * @param {string} attribute - The attribute name.
+ * @param {unknown} value - The prop value.
+ * @param {PropDefinition} definition - The prop definition.
+ */
+function reflectAttribute(element, attribute, value, { type = String }) {
+  if (value === null || value === undefined || value === false) {
+    element.removeAttribute(attribute);
+  } else if (type === Boolean) {
+    element.setAttribute(attribute, '');
+  } else {
+    element.setAttribute(attribute, type === Object || type === Array ? JSON.stringify(value) : String(value));
+  }
+}
+
+/**
+ * Copies object and array defaults, so instances don't share them.
+ *
+ * @param {unknown} value - The default value.
+ * @returns {unknown} The value, or a copy of it.
+ */
+function cloneDefault(value) {
+  return value !== null && typeof value === 'object' ? structuredClone(value) : value;
+}
+
+/**
+ * @typedef {Object} EventBinding
+ * @property {string} attribute - The `on:` attribute of the binding, like `on:click.prevent`.
+ * @property {string} type - The event type, like `click`.
+ * @property {Set<string>} modifiers - The modifiers, like `prevent` and `stop`.
+ * @property {number} wait - The debounce wait, in milliseconds.
+ */
+
+/**
+ * The events listened to from the start. Other events are listened to once an `on:` attribute names them.
  */
+const defaultEvents = [
+  'click',
+  'change',
+  'select',
+  'focus',
+  'blur',
+  'submit',
+  'input',
+  'keydown',
+  'keyup',
+  'toggle',
+  'pointerenter',
+  'pointerleave',
+];
+
+/**
+ * Events that don't bubble but are delegated to the closest element listening to them anyway.
+ */
+const shouldBubble = ['focus', 'blur'];
+
+/**
+ * The debounce wait of `.debounce` bindings without one, in milliseconds.
+ */
+const DEFAULT_DEBOUNCE_WAIT = 250;
+
+/**
+ * HTML lowercases attribute names, so mixed case event names are matched through their lowercase form.
+ * @type {Record<string, string>}
+ */
+const mixedCaseEvents = Object.fromEntries(
+  Object.values(ThemeEvents)
+    .filter((type) => typeof type === 'string' && type !== type.toLowerCase())
+    .map((type) => [type.toLowerCase(), type])
+);
+
+/**
+ * The bindings of the `on:` attributes found so far, by event type.
+ * @type {Map<string, Map<string, EventBinding>>}
+ */
+const bindings = new Map();
+
+/**
+ * The `.once` bindings that already ran, by element.
+ * @type {WeakMap<Element, Set<string>>}
+ */
+const calledOnce = new WeakMap();
+
+/**
+ * The debounced callbacks of `.debounce` bindings, by element.
+ * @type {WeakMap<Element, Map<string, (event: Event) => void>>}
+ */
+const debouncedCallbacks = new WeakMap();
+
+/**
+ * The roots and elements already scanned for `on:` attributes, so nested components and the mutation observers of
+ * their ancestors don't scan the same elements again.
+ * @type {WeakSet<Node>}
+ */
+const scannedNodes = new WeakSet();
+
 let initialized = false;
 
-function registerEventListeners() {
-  if (initialized) return;
-  initialized = true;
+/**
+ * Initializes the event listeners for custom event handling.
+ *
+ * Listens to the events named by the `on:` attributes of the given roots, and delegates the handling of those events
+ * to methods defined on the closest `Component` instance. The attribute grammar is
+ * `on:event.modifier="selector/method?data"`, where the event can be any DOM or custom event, like `cart:update`,
+ * and the modifiers are:
+ * - `.prevent`: calls `event.preventDefault()`.
+ * - `.stop`: calls `event.stopPropagation()` once the method has run, so the `.outside`, `.document` and `.window`
+ *   bindings and the listeners of the window don't get the event.
+ * - `.once`: only calls the method the first time.
+ * - `.debounce.300`: calls the method once the event stops firing for 300ms, 250ms by default.
+ * - `.self`: only calls the method when the event target is the element itself, not one of its descendants.
+ * - `.outside`: calls the method when the event happens outside of the element.
+ * - `.document`: calls the method for every event that reaches the document, like theme events dispatched on the
+ *   document or bubbling up from another component.
+ * - `.window`: calls the method for every event that reaches the window, like `resize`.
+ *
+ * Without `.document` or `.window`, only events dispatched on the element or its descendants call the method.
+ * Only the closest element with a binding for the event gets it.
+ *
+ * Bindings are called once the event has bubbled up to the document, after the listeners of the elements it went
+ * through. Events that don't bubble never get there, so they are handled on their way down instead.
+ *
+ * @param {Iterable<ParentNode>} roots - The roots to look for `on:` attributes in.
+ */
+function registerEventListeners(roots) {
+  if (!initialized) {
+    initialized = true;
 
-  const events = ['click', 'change', 'select', 'focus', 'blur', 'submit', 'input', 'keydown', 'keyup', 'toggle'];
-  const shouldBubble = ['focus', 'blur'];
-  const expensiveEvents = ['pointerenter', 'pointerleave'];
+    for (const type of defaultEvents) addBinding(`on:${type}`);
 
-  for (const eventName of [...events, ...expensiveEvents]) {
-    const attribute = `on:${eventName}`;
+    // Attributes outside of components can point to them with a selector, like `#cart-drawer/open`
+    roots = [document, ...roots];
+  }
 
-    document.addEventListener(
-      eventName,
-      (event) => {
-        const element = getElement(event);
+  for (const root of roots) {
+    if (scannedNodes.has(root)) continue;
 
-        if (!element) return;
+    scannedNodes.add(root);
 
-        const proxiedEvent =
-          event.target !== element
-            ? new Proxy(event, {
-                get(target, property) {
-                  if (property === 'target') return element;
+    const elements = root instanceof Element ? [root, ...root.querySelectorAll('*')] : root.querySelectorAll('*');
 
-                  const value = Reflect.get(target, property);
+    for (const element of elements) {
+      scannedNodes.add(element);
 
-                  if (typeof value === 'function') {
-                    return value.bind(target);
-                  }
+      for (const attribute of element.getAttributeNames()) {
+        registerEventAttribute(attribute);
+      }
+    }
+  }
+}
 
-                  return value;
-                },
-              })
-            : event;
+/**
+ * Listens to the event of an attribute added after its element was scanned, like one copied by a morph.
+ *
+ * @param {string} attribute - The attribute name, ignored unless it starts with `on:`.
+ */
+export function registerEventAttribute(attribute) {
+  if (attribute.startsWith('on:')) addBinding(attribute);
+}
 
-        const value = element.getAttribute(attribute) ?? '';
-        let [selector, method] = value.split('/');
-        // Extract the last segment of the attribute value delimited by `?` or `/`
-        // Do not use lookback for Safari 16.0 compatibility
-        const matches = value.match(/([\/\?][^\/\?]+)([\/\?][^\/\?]+)$/);
-        const data = matches ? matches[2] : null;
-        const instance = selector
-          ? selector.startsWith('#')
-            ? document.querySelector(selector)
-            : element.closest(selector)
-          : getClosestComponent(element);
+/**
+ * Parses an `on:` attribute and listens to its event.
+ *
+ * @param {string} attribute - The attribute name, like `on:input.debounce.300`.
+ */
+function addBinding(attribute) {
+  const [name = '', ...tokens] = attribute.slice('on:'.length).split('.');
+  const type = mixedCaseEvents[name] ?? name;
+  const typeBindings = bindings.get(type) ?? new Map();
 
-        if (!(instance instanceof Component) || !method) return;
+  if (!name || typeBindings.has(attribute)) return;
 
-        method = method.replace(/\?.*/, '');
+  const modifiers = new Set(tokens.filter((token) => isNaN(Number(token))));
+  const wait = Number(tokens[tokens.indexOf('debounce') + 1]);
 
-        const callback = /** @type {any} */ (instance)[method];
+  typeBindings.set(attribute, {
+    attribute,
+    type,
+    modifiers,
+    wait: modifiers.has('debounce') && !isNaN(wait) ? wait : DEFAULT_DEBOUNCE_WAIT,
+  });
 
-        if (typeof callback === 'function') {
-          try {
-            /** @type {(Event | Data)[]} */
-            const args = [proxiedEvent];
+  if (!bindings.has(type)) {
+    bindings.set(type, typeBindings);
+    listen(type);
+  }
+}
+
+/**
+ * Delegates an event type to the elements listening to it.
+ *
+ * @param {string} type - The event type.
+ */
+function listen(type) {
+  document.addEventListener(type, handleEvent);
+  document.addEventListener(type, handleCapturedEvent, { capture: true });
+  // Events dispatched on the window, like `resize`, don't go through the document
+  window.addEventListener(type, handleWindowEvent);
+}
 
-            if (data) args.unshift(parseData(data));
+// Added to the document and window while the first component connects, and meant to stay for the whole page,
+// so the diagnostics don't report them as leaked listeners
+persistListener(handleEvent);
+persistListener(handleCapturedEvent);
+persistListener(handleWindowEvent);
 
-            callback.call(instance, ...args);
-          } catch (error) {
-            console.error(error);
-          }
-        }
-      },
-      { capture: true }
-    );
+/**
+ * Calls the methods of the `.window` bindings an event reaches.
+ *
+ * @param {Event} event - The event.
+ */
+function handleWindowEvent(event) {
+  for (const binding of bindings.get(event.type)?.values() ?? []) {
+    if (binding.modifiers.has('window')) callGlobalBinding(binding, event);
   }
+}
+
+/**
+ * Calls the methods of the bindings a bubbling event reaches, once it has bubbled up to the document.
+ *
+ * @param {Event} event - The event.
+ */
+function handleEvent(event) {
+  if (event.bubbles) delegateEvent(event);
+}
+
+/**
+ * Calls the methods of the bindings an event that doesn't bubble reaches, while it is captured by the document.
+ *
+ * @param {Event} event - The event.
+ */
+function handleCapturedEvent(event) {
+  if (!event.bubbles) delegateEvent(event);
+}
+
+/**
+ * Calls the methods of the bindings an event reaches, from the closest element with a binding up to the document.
+ *
+ * @param {Event} event - The event.
+ */
+function delegateEvent(event) {
+  const typeBindings = Array.from(bindings.get(event.type)?.values() ?? []);
+  const path = event.composedPath();
+  const target = path[0] ?? event.target;
+  const insideBindings = typeBindings.filter(
+    ({ modifiers }) => !modifiers.has('outside') && !modifiers.has('document') && !modifiers.has('window')
+  );
+  const selector = insideBindings.map(({ attribute }) => `[${CSS.escape(attribute)}]`).join(',');
+  const candidates = event.bubbles || shouldBubble.includes(event.type) ? path : path.slice(0, 1);
+  const element = selector
+    ? candidates.find((node) => node instanceof Element && node.matches(selector))
+    : undefined;
 
-  /** @param {Event} event */
-  function getElement(event) {
-    const target = event.composedPath?.()[0] ?? event.target;
+  if (element instanceof Element) {
+    let stopped = false;
 
-    if (!(target instanceof Element)) return;
+    for (const binding of insideBindings) {
+      if (!element.hasAttribute(binding.attribute)) continue;
+      if (binding.modifiers.has('self') && element !== target) continue;
 
-    if (target.hasAttribute(`on:${event.type}`)) {
-      return target;
+      callBinding(element, binding, event);
+      stopped ||= binding.modifiers.has('stop');
     }
 
-    if (expensiveEvents.includes(event.type)) {
-      return null;
+    if (stopped) return;
+  }
+
+  if (target instanceof Element) {
+    for (const binding of typeBindings.filter(({ modifiers }) => modifiers.has('outside'))) {
+      for (const outsideElement of document.querySelectorAll(`[${CSS.escape(binding.attribute)}]`)) {
+        if (!path.includes(outsideElement)) callBinding(outsideElement, binding, event);
+      }
     }
+  }
+
+  for (const binding of typeBindings.filter(({ modifiers }) => modifiers.has('document'))) {
+    callGlobalBinding(binding, event);
+  }
+}
 
-    return event.bubbles || shouldBubble.includes(event.type) ? target.closest(`[on\\:${event.type}]`) : null;
+/**
+ * Calls the method of a `.document` or `.window` binding on every element carrying it.
+ *
+ * @param {EventBinding} binding - The binding.
+ * @param {Event} event - The event.
+ */
+function callGlobalBinding(binding, event) {
+  for (const element of document.querySelectorAll(`[${CSS.escape(binding.attribute)}]`)) {
+    callBinding(element, binding, event);
+  }
+}
+
+/**
+ * Applies the modifiers of a binding and calls its method.
+ *
+ * @param {Element} element - The element with the `on:` attribute.
+ * @param {EventBinding} binding - The binding.
+ * @param {Event} event - The event.
+ */
+function callBinding(element, binding, event) {
+  const { attribute, modifiers } = binding;
+  const called = calledOnce.get(element) ?? new Set();
+
+  if (modifiers.has('once')) {
+    if (called.has(attribute)) return;
+
+    called.add(attribute);
+    calledOnce.set(element, called);
+  }
+
+  if (modifiers.has('prevent')) event.preventDefault();
+
+  if (modifiers.has('debounce')) {
+    const callbacks = debouncedCallbacks.get(element) ?? new Map();
+    let callback = callbacks.get(attribute);
+
+    if (!callback) {
+      callback = debounce((/** @type {Event} */ event) => callMethod(element, attribute, event), binding.wait);
+      callbacks.set(attribute, callback);
+      debouncedCallbacks.set(element, callbacks);
+    }
+
+    callback(event);
+  } else {
+    callMethod(element, attribute, event);
+  }
+
+  // Captured events haven't reached their target yet, and don't go any further than it
+  if (modifiers.has('stop') && event.eventPhase !== Event.CAPTURING_PHASE) event.stopPropagation();
+}
+
+/**
+ * Calls the component method an `on:` attribute points to, like `selector/method?data`.
+ *
+ * @param {Element} element - The element with the `on:` attribute.
+ * @param {string} attribute - The attribute name.
+ * @param {Event} event - The event.
+ */
+function callMethod(element, attribute, event) {
+  const proxiedEvent =
+    event.target !== element
+      ? new Proxy(event, {
+          get(target, property) {
+            if (property === 'target') return element;
+
+            const value = Reflect.get(target, property);
+
+            if (typeof value === 'function') {
+              return value.bind(target);
+            }
+
+            return value;
+          },
+        })
+      : event;
+
+  const value = element.getAttribute(attribute) ?? '';
+  let [selector, method] = value.split('/');
+  // Extract the last segment of the attribute value delimited by `?` or `/`
+  // Do not use lookback for Safari 16.0 compatibility
+  const matches = value.match(/([\/\?][^\/\?]+)([\/\?][^\/\?]+)$/);
+  const data = matches ? matches[2] : null;
+  const instance = selector
+    ? selector.startsWith('#')
+      ? document.querySelector(selector)
+      : element.closest(selector)
+    : getClosestComponent(element);
+
+  if (!(instance instanceof Component) || !method) {
+    if (!method) {
+      reportDiagnostic(`${attribute}="${value}" has no method, use "selector/method"`, element);
+    } else if (!instance) {
+      reportDiagnostic(`${attribute}="${value}" matches no ${selector ? `"${selector}"` : 'component'}`, element);
+    } else {
+      reportDiagnostic(`${attribute}="${value}" matches <${instance.localName}>, which isn't a Component`, element);
+    }
+
+    return;
+  }
+
+  method = method.replace(/\?.*/, '');
+
+  const callback = /** @type {any} */ (instance)[method];
+
+  if (typeof callback === 'function') {
+    try {
+      /** @type {(Event | Data)[]} */
+      const args = [proxiedEvent];
+
+      if (data) args.unshift(parseData(data));
+
+      callback.call(instance, ...args);
+    } catch (error) {
+      console.error(error);
+      reportDiagnostic(`${attribute}="${value}" threw: ${error instanceof Error ? error.message : error}`, element);
+    }
+  } else {
+    reportDiagnostic(`${attribute}="${value}" calls "${method}", which <${instance.localName}> doesn't have`, element);
   }
 }
 
@@ -10,10 +10,16 @@ export class ThemeEvents {
   static variantSelected = 'variant:selected';
   /** @static @constant {string} Event triggered when a variant is changed */
   static variantUpdate = 'variant:update';
+  /** @static @constant {string} Event triggered when a selling plan is selected */
+  static sellingPlanUpdate = 'selling-plan:update';
   /** @static @constant {string} Event triggered when the cart items or quantities are updated */
   static cartUpdate = 'cart:update';
   /** @static @constant {string} Event triggered when a cart update fails */
   static cartError = 'cart:error';
+  /** @static @constant {string} Event triggered when cart mutations are queued or replayed while offline */
+  static cartQueueUpdate = 'cart:queue-update';
+  /** @static @constant {string} Event triggered when the saved for later list changes */
+  static savedForLaterUpdate = 'saved-for-later:update';
   /** @static @constant {string} Event triggered when a media (video, 3d model) is loaded */
   static mediaStartedPlaying = 'media:started-playing';
   // Event triggered when quantity-selector value is changed
@@ -56,6 +62,7 @@ export class VariantUpdateEvent extends Event {
    * @param {Object} resource - The new variant object
    * @param {string} resource.id - The id of the variant
    * @param {boolean} resource.available - Whether the variant is available
+   * @param {number} [resource.price] - The price of the variant, in cents
    * @param {boolean} resource.inventory_management - Whether the variant has inventory management
    * @param {Object} [resource.featured_media] - The featured media of the variant
    * @param {string} [resource.featured_media.id] - The id of the featured media
@@ -83,6 +90,25 @@ export class VariantUpdateEvent extends Event {
   }
 }
 
+/**
+ * Event fired when a selling plan is selected, or the one-time purchase option
+ * @extends {Event}
+ */
+export class SellingPlanUpdateEvent extends Event {
+  /**
+   * Creates a new SellingPlanUpdateEvent
+   * @param {string | null} sellingPlanId - The id of the selling plan, or null for a one-time purchase
+   * @param {string} productId - The id of the product, used to ensure the correct price is updated
+   */
+  constructor(sellingPlanId, productId) {
+    super(ThemeEvents.sellingPlanUpdate, { bubbles: true });
+    this.detail = {
+      sellingPlanId,
+      productId,
+    };
+  }
+}
+
 /**
  * Event class for cart additions
  * @extends {Event}
@@ -168,6 +194,40 @@ export class CartErrorEvent extends Event {
   }
 }
 
+/**
+ * Event class for offline cart queue updates
+ * @extends {Event}
+ */
+export class CartQueueUpdateEvent extends Event {
+  /**
+   * Creates a new CartQueueUpdateEvent
+   * @param {number} pending - The number of cart mutations waiting for the connection to come back
+   */
+  constructor(pending) {
+    super(ThemeEvents.cartQueueUpdate, { bubbles: true });
+    this.detail = {
+      pending,
+    };
+  }
+}
+
+/**
+ * Event fired when the saved for later list changes, in this tab or another one
+ * @extends {Event}
+ */
+export class SavedForLaterUpdateEvent extends Event {
+  /**
+   * Creates a new SavedForLaterUpdateEvent
+   * @param {number} count - The number of items saved for later
+   */
+  constructor(count) {
+    super(ThemeEvents.savedForLaterUpdate, { bubbles: true });
+    this.detail = {
+      count,
+    };
+  }
+}
+
 /**
  * Event class for quantity-selector updates
  * @extends {Event}
@@ -0,0 +1,74 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart-store';
+import { formatMoney } from '@theme/utilities';
+
+/**
+ * A custom element that shows how far the cart is from free shipping.
+ *
+ * The cart total comes from the cart store, which is up to date after every cart and discount update,
+ * so the bar and message update without re-rendering the cart.
+ *
+ * @typedef {object} FreeShippingProgressRefs
+ * @property {HTMLElement} message - The live region announcing the remaining amount.
+ *
+ * @extends {Component<FreeShippingProgressRefs>}
+ */
+class FreeShippingProgress extends Component {
+  requiredRefs = ['message'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#render(Number(this.dataset.cartTotal));
+  }
+
+  /**
+   * The free shipping threshold in the cart currency, in cents.
+   * Falls back to the store threshold converted at the current rate when none is set for the currency.
+   * @returns {number}
+   */
+  get threshold() {
+    const { threshold, baseThreshold } = this.dataset;
+
+    if (threshold) return Number(threshold);
+
+    return Math.round(Number(baseThreshold) * Number(Shopify.currency.rate || 1));
+  }
+
+  /**
+   * Renders the progress for the stored cart, called on cart and discount updates.
+   */
+  onCartUpdate = async () => {
+    const cart = cartStore.cart ?? (await cartStore.refresh().catch(() => null));
+
+    if (cart) this.#render(cart.total_price);
+  };
+
+  /**
+   * Renders the progress for a cart total.
+   * @param {number} cartTotal - The cart total, in cents.
+   */
+  #render(cartTotal) {
+    const { threshold } = this;
+    const { message } = this.refs;
+
+    if (!Number.isFinite(threshold) || !Number.isFinite(cartTotal)) return;
+
+    const remaining = Math.max(threshold - cartTotal, 0);
+    const progress = threshold > 0 ? Math.min(cartTotal / threshold, 1) : 1;
+
+    this.style.setProperty('--free-shipping-progress', String(progress));
+
+    const text =
+      remaining > 0
+        ? (this.dataset.remainingTemplate ?? '').replace('[amount]', formatMoney(remaining, this.dataset.currency))
+        : (this.dataset.reachedMessage ?? '');
+
+    // Only touch the live region when the message changes, so it isn't announced again
+    if (message.textContent?.trim() !== text) message.textContent = text;
+  }
+}
+
+if (!customElements.get('free-shipping-progress')) {
+  customElements.define('free-shipping-progress', FreeShippingProgress);
+}
@@ -1,5 +1,6 @@
 import { Component } from '@theme/component';
 import { ThemeEvents, CartErrorEvent, CartAddEvent } from '@theme/events';
+import { setDateConstraints } from '@theme/utilities';
 
 /**
  * @typedef {Object} GiftCardRecipientFormRefs
@@ -287,24 +288,7 @@ class GiftCardRecipientForm extends Component {
    * Prevents selecting past dates and limits to 90 days in the future
    */
   #setDateConstraints() {
-    const today = new Date();
-    const maxDate = new Date();
-    maxDate.setDate(today.getDate() + 90);
-
-    // Format dates as YYYY-MM-DD
-    /**
-     * @param {Date} date
-     * @returns {string}
-     */
-    const formatDate = (date) => {
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const day = String(date.getDate()).padStart(2, '0');
-      return `${year}-${month}-${day}`;
-    };
-
-    this.refs.recipientSendOn.setAttribute('min', formatDate(today));
-    this.refs.recipientSendOn.setAttribute('max', formatDate(maxDate));
+    setDateConstraints(this.refs.recipientSendOn, { maxDays: 90 });
   }
 
   /**
@@ -24,6 +24,7 @@ declare global {
     routes: {
       cart_add_url: string;
       cart_change_url: string;
+      cart_clear_url: string;
       cart_update_url: string;
       cart_url: string;
       predictive_search_url: string;
@@ -37,6 +38,12 @@ declare global {
     template: {
       name: string;
     };
+    settings: {
+      money_format: string;
+      money_with_currency_format: string;
+      currency_code_enabled_cart_items: boolean;
+      currency_code_enabled_cart_total: boolean;
+    };
   }
 
   interface Window {
@@ -1,4 +1,4 @@
-import { Component } from '@theme/component';
+import { Component, registerEventAttribute } from '@theme/component';
 
 /**
  * @typedef {Object} Options
@@ -212,13 +212,15 @@ function updateNode(newNode, oldNode, options) {
 }
 
 /**
- * Gets a node's key using the getNodeKey option if provided
+ * Gets a node's key using the getNodeKey option if provided, then the `data-morph-key` attribute or the id
  * @param {Node | undefined} node - The node to get the key from
  * @param {Options} [options] - The options object that may contain getNodeKey
  * @returns {string|number|undefined} The node's key if one exists
  */
 function getNodeKey(node, options) {
-  return options?.getNodeKey?.(node) ?? (node instanceof Element ? node.id : undefined);
+  return (
+    options?.getNodeKey?.(node) ?? (node instanceof Element ? node.getAttribute('data-morph-key') || node.id : undefined)
+  );
 }
 
 /**
@@ -266,6 +268,7 @@ function copyAttributes(newNode, oldNode) {
     } else {
       if (!oldNode.hasAttribute(attrName)) {
         oldNode.setAttribute(attrName, attrValue);
+        registerEventAttribute(attrName);
       } else {
         const fromValue = oldNode.getAttribute(attrName);
         if (fromValue !== attrValue) {
@@ -356,6 +359,9 @@ function updateTextarea(newNode, oldNode) {
 
 /**
  * Update the children of elements
+ *
+ * Keyed children are matched by key wherever they are, unkeyed children in order. The matched old children are
+ * morphed in place and only the ones out of order are moved, so reordered nodes keep their identity and state.
  * @param {Node} newNode - The new node to update children on
  * @param {Node} oldNode - The existing node to update children on
  * @param {Options} options - The options object
@@ -370,76 +376,164 @@ function updateChildren(newNode, oldNode, options) {
     return;
   }
 
-  let oldChild, newChild, morphed, oldMatch;
-  let offset = 0;
+  const oldChildren = Array.from(oldNode.childNodes);
 
-  for (let i = 0; ; i++) {
-    oldChild = oldNode.childNodes[i];
-    newChild = newNode.childNodes[i - offset];
+  /** @type {Map<string | number, number>} */
+  const oldKeyed = new Map();
+  /** @type {number[]} */
+  const oldUnkeyed = [];
 
-    // Both nodes are empty, do nothing
-    if (!oldChild && !newChild) {
-      break;
-    }
+  oldChildren.forEach((child, index) => {
+    const key = getNodeKey(child, options);
 
-    // There is no new child, remove old
-    if (!newChild) {
-      oldChild && oldNode.removeChild(oldChild);
-      i--;
-      continue;
+    if (!key) {
+      oldUnkeyed.push(index);
+    } else if (!oldKeyed.has(key)) {
+      oldKeyed.set(key, index);
     }
+  });
+
+  /**
+   * The children to end up with, in order
+   * @type {Node[]}
+   */
+  const children = [];
+  /**
+   * The index of the old child each child was morphed from, or -1 for new children
+   * @type {number[]}
+   */
+  const sources = [];
+
+  for (const newChild of Array.from(newNode.childNodes)) {
+    const key = getNodeKey(newChild, options);
+    let oldIndex = -1;
+
+    if (key) {
+      const index = oldKeyed.get(key);
+      const oldChild = index === undefined ? undefined : oldChildren[index];
+
+      if (index !== undefined && oldChild && same(newChild, oldChild, options)) {
+        oldKeyed.delete(key);
+        oldIndex = index;
+      }
+    } else {
+      const candidate = oldUnkeyed[0] === undefined ? undefined : oldChildren[oldUnkeyed[0]];
 
-    // There is no old child, add new
-    if (!oldChild) {
-      oldNode.appendChild(newChild);
-      offset++;
-      continue;
-    }
+      if (candidate && !same(newChild, candidate, options) && options.reject?.(candidate, newChild)) {
+        continue;
+      }
 
-    // Both nodes are the same, morph
-    if (same(newChild, oldChild, options)) {
-      morphed = walk(newChild, oldChild, options);
-      if (morphed !== oldChild) {
-        oldNode.replaceChild(morphed, oldChild);
-        offset++;
+      // Prefer the next unkeyed old child, then a later one that matches, then morph the next one anyway
+      let position = oldUnkeyed.findIndex((index) => {
+        const oldChild = oldChildren[index];
+        return oldChild != null && same(newChild, oldChild, options);
+      });
+      if (position === -1 && candidate) position = 0;
+
+      if (position !== -1) {
+        oldIndex = oldUnkeyed[position] ?? -1;
+        oldUnkeyed.splice(position, 1);
       }
-      continue;
     }
 
-    if (options.reject?.(oldChild, newChild)) {
-      newNode.removeChild(newChild);
-      i--;
-      continue;
-    }
+    const oldChild = oldChildren[oldIndex];
+    const child = oldChild ? walk(newChild, oldChild, options) : newChild;
+
+    children.push(child);
+    sources.push(child === oldChild ? oldIndex : -1);
+  }
 
-    // Try to find a matching node to reorder
-    oldMatch = null;
-    for (let j = i; j < oldNode.childNodes.length; j++) {
-      const potentialOldNode = oldNode.childNodes[j];
+  const kept = new Set(children);
 
-      if (potentialOldNode && same(potentialOldNode, newChild, options)) {
-        oldMatch = potentialOldNode;
-        break;
+  for (const oldChild of oldChildren) {
+    if (!kept.has(oldChild)) oldNode.removeChild(oldChild);
+  }
+
+  // The old children already in order stay put, everything else is moved or inserted around them
+  const stable = getLongestIncreasingSubsequence(sources);
+  /** @type {Node | null} */
+  let reference = null;
+
+  for (let i = children.length - 1; i >= 0; i--) {
+    const child = children[i];
+    if (!child) continue;
+
+    if (!stable.has(i)) moveNode(oldNode, child, reference);
+    reference = child;
+  }
+}
+
+/**
+ * Finds the longest subsequence of increasing old indices, the children that don't need to move
+ * @param {number[]} sources - The old index of each child, or -1 for new children
+ * @returns {Set<number>} The positions of the children in the subsequence
+ */
+function getLongestIncreasingSubsequence(sources) {
+  /**
+   * The position of the last child of the best subsequence of each length
+   * @type {number[]}
+   */
+  const tails = [];
+  /**
+   * The position of the child before each child in its subsequence
+   * @type {number[]}
+   */
+  const previous = [];
+
+  sources.forEach((source, position) => {
+    if (source === -1) return;
+
+    let low = 0;
+    let high = tails.length;
+
+    while (low < high) {
+      const middle = (low + high) >> 1;
+
+      if ((sources[tails[middle] ?? 0] ?? 0) < source) {
+        low = middle + 1;
+      } else {
+        high = middle;
       }
     }
 
-    if (oldMatch) {
-      morphed = walk(newChild, oldMatch, options);
-      if (morphed !== oldMatch) offset++;
-      oldNode.insertBefore(morphed, oldChild);
-    } else if (!getNodeKey(newChild, options) && !getNodeKey(oldChild, options)) {
-      // Safe to morph in-place if neither has a key
-      morphed = walk(newChild, oldChild, options);
-      if (morphed !== oldChild) {
-        oldNode.replaceChild(morphed, oldChild);
-        offset++;
-      }
-    } else {
-      // Insert the node if we couldn't morph or find a match
-      oldNode.insertBefore(newChild, oldChild);
-      offset++;
+    previous[position] = low > 0 ? (tails[low - 1] ?? -1) : -1;
+    tails[low] = position;
+  });
+
+  /** @type {Set<number>} */
+  const subsequence = new Set();
+
+  for (let position = tails[tails.length - 1] ?? -1; position !== -1; position = previous[position] ?? -1) {
+    subsequence.add(position);
+  }
+
+  return subsequence;
+}
+
+/**
+ * Moves or inserts a node before a reference node
+ *
+ * Uses `moveBefore` when the node is already a child, so moved elements keep their state, like playing videos,
+ * and aren't disconnected and reconnected.
+ * @param {Node} parent - The parent to move the node into
+ * @param {Node} node - The node to move
+ * @param {Node | null} reference - The node to move it before, or null to move it to the end
+ */
+function moveNode(parent, node, reference) {
+  if (node.nextSibling === reference && node.parentNode === parent) return;
+
+  const { moveBefore } = /** @type {Node & { moveBefore?: (node: Node, child: Node | null) => void }} */ (parent);
+
+  if (moveBefore && node.parentNode === parent) {
+    try {
+      moveBefore.call(parent, node, reference);
+      return;
+    } catch {
+      // Not every node can be moved atomically, fall back to a regular insert
     }
   }
+
+  parent.insertBefore(node, reference);
 }
 
 /**
@@ -0,0 +1,116 @@
+import { DialogComponent } from '@theme/dialog';
+
+/**
+ * @typedef {object} NotifyMeRefs
+ * @property {HTMLDialogElement} dialog - The dialog element.
+ * @property {HTMLFormElement} form - The customer form.
+ * @property {HTMLInputElement} tags - The tags of the customer, including the variant id.
+ * @property {HTMLElement} variantTitle - The title of the variant to be notified about.
+ * @property {HTMLButtonElement} submitButton - The submit button.
+ * @property {HTMLElement} message - The success or error message.
+ */
+
+/**
+ * A dialog that signs the shopper up to hear when a sold out variant is back in stock.
+ *
+ * The shopper is saved as a customer through the customer form, tagged with the id of the variant,
+ * so the store can email them once it's restocked.
+ *
+ * @extends {DialogComponent}
+ */
+class NotifyMeComponent extends DialogComponent {
+  requiredRefs = ['dialog', 'form', 'tags', 'variantTitle', 'submitButton', 'message'];
+
+  /**
+   * Opens the dialog for the variant selected in the product form.
+   */
+  showDialog() {
+    const { form, tags, variantTitle, message } = /** @type {NotifyMeRefs} */ (this.refs);
+    const productForm = document.getElementById(this.dataset.productFormId ?? '');
+    const variantInput = productForm?.querySelector('input[name="id"]');
+    const variantId = variantInput instanceof HTMLInputElement ? variantInput.value : '';
+    const variant = this.#getVariantTitle(productForm);
+
+    tags.value = `${this.dataset.tag},${this.dataset.tag}-${variantId}`;
+    variantTitle.textContent = variant;
+    variantTitle.hidden = !variant;
+    message.textContent = '';
+    message.classList.add('hidden');
+    form.hidden = false;
+
+    super.showDialog();
+  }
+
+  /**
+   * Signs the shopper up without leaving the page.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  async submit(event) {
+    event.preventDefault();
+
+    const { form, submitButton } = /** @type {NotifyMeRefs} */ (this.refs);
+
+    submitButton.disabled = true;
+
+    try {
+      const response = await fetch(form.action, { method: 'POST', body: new FormData(form) });
+      const { pathname, searchParams } = new URL(response.url);
+
+      // The store asks for a captcha, which can only be solved on its own page
+      if (pathname.endsWith('/challenge')) {
+        form.submit();
+        return;
+      }
+
+      if (!response.ok || searchParams.get('customer_posted') !== 'true') {
+        const html = new DOMParser().parseFromString(await response.text(), 'text/html');
+        const error = html.querySelector('.errors, .form-errors')?.textContent?.trim();
+
+        this.#showMessage(error || this.dataset.errorMessage || '', true);
+        return;
+      }
+
+      form.hidden = true;
+      this.#showMessage(this.dataset.successMessage ?? '', false);
+    } catch (error) {
+      console.error(error);
+      this.#showMessage(this.dataset.errorMessage ?? '', true);
+    } finally {
+      submitButton.disabled = false;
+    }
+  }
+
+  /**
+   * Gets the title of the selected variant from the variant picker of the product form's section.
+   * @param {HTMLElement | null} productForm - The product form.
+   * @returns {string} The title, or an empty string for a product without variants.
+   */
+  #getVariantTitle(productForm) {
+    const section = productForm?.closest('.shopify-section, dialog');
+    const variantData = section?.querySelector('variant-picker script[type="application/json"]')?.textContent;
+
+    try {
+      return variantData ? (JSON.parse(variantData).title ?? '') : '';
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Shows the outcome of the sign up.
+   * @param {string} text - The message.
+   * @param {boolean} isError - Whether the sign up failed.
+   */
+  #showMessage(text, isError) {
+    const { message } = /** @type {NotifyMeRefs} */ (this.refs);
+
+    message.textContent = text;
+    message.classList.remove('hidden');
+    message.classList.toggle('notify-me__message--error', isError);
+    message.setAttribute('role', isError ? 'alert' : 'status');
+  }
+}
+
+if (!customElements.get('notify-me-component')) {
+  customElements.define('notify-me-component', NotifyMeComponent);
+}
@@ -178,7 +178,12 @@ export class ProductCard extends Component {
    * @param {VariantUpdateEvent} event - The variant update event.
    */
   updatePrice(event) {
-    const priceContainer = this.querySelectorAll(`product-price [ref='priceContainer']`)[1];
+    // Only the prices of the product-price components follow the variant, not the ones other nested blocks render
+    const priceContainers = this.queryRefs('priceContainer', HTMLElement).filter((element) =>
+      element.closest('product-price')
+    );
+    // Cards without a second price render a single one, which still has to follow the variant and its unit price
+    const priceContainer = priceContainers[1] ?? priceContainers[0];
     const newPriceElement = event.detail.data.html.querySelector(`product-price [ref='priceContainer']`);
 
     if (newPriceElement && priceContainer) {
@@ -1,8 +1,13 @@
 import { Component } from '@theme/component';
-import { fetchConfig, onAnimationEnd, preloadImage } from '@theme/utilities';
-import { ThemeEvents, CartAddEvent, CartErrorEvent, CartUpdateEvent, VariantUpdateEvent } from '@theme/events';
+import { onAnimationEnd, preloadImage } from '@theme/utilities';
+import { ThemeEvents, CartAddEvent, CartErrorEvent, VariantUpdateEvent } from '@theme/events';
+import { cartStore, CartError, getCartItemsSectionIds } from '@theme/cart-store';
 import { cartPerformance } from '@theme/performance';
 import { morph } from '@theme/morph';
+import { cartRules } from '@theme/cart-rules';
+
+/** @typedef {import('./cart-store').CartAddItem} CartAddItem */
+/** @typedef {import('./cart-store').CartAddResponse} CartAddResponse */
 
 export const ADD_TO_CART_TEXT_ANIMATION_DURATION = 2000;
 
@@ -20,6 +25,7 @@ const SUCCESS_MESSAGE_DISPLAY_DURATION = 5000;
  *
  * @typedef {object} AddToCartRefs
  * @property {HTMLButtonElement} addToCartButton - The add to cart button.
+ * @property {HTMLButtonElement | undefined} notifyMeButton - The button opening the notify me dialog of sold out variants.
  * @extends Component<AddToCartRefs>
  */
 export class AddToCartComponent extends Component {
@@ -35,6 +41,8 @@ export class AddToCartComponent extends Component {
     super.connectedCallback();
 
     this.addEventListener('pointerenter', this.#preloadImage);
+    document.addEventListener(ThemeEvents.cartQueueUpdate, this.updatePendingState);
+    this.updatePendingState();
   }
 
   disconnectedCallback() {
@@ -43,6 +51,7 @@ export class AddToCartComponent extends Component {
     if (this.#animationTimeout) clearTimeout(this.#animationTimeout);
     if (this.#cleanupTimeout) clearTimeout(this.#cleanupTimeout);
     this.removeEventListener('pointerenter', this.#preloadImage);
+    document.removeEventListener(ThemeEvents.cartQueueUpdate, this.updatePendingState);
   }
 
   /**
@@ -59,6 +68,19 @@ export class AddToCartComponent extends Component {
     this.refs.addToCartButton.disabled = false;
   }
 
+  /**
+   * Swaps the add to cart button for the notify me button while the variant is sold out.
+   * @param {boolean} soldOut - Whether the selected variant is sold out.
+   */
+  setSoldOut(soldOut) {
+    const { addToCartButton, notifyMeButton } = this.refs;
+
+    if (!notifyMeButton) return;
+
+    addToCartButton.hidden = soldOut;
+    notifyMeButton.hidden = !soldOut;
+  }
+
   /**
    * Handles the click event for the add to cart button.
    * @param {MouseEvent & {target: HTMLElement}} event - The click event.
@@ -77,6 +99,9 @@ export class AddToCartComponent extends Component {
       }
     }
 
+    // The add is queued until the connection comes back, `updatePendingState` shows it instead
+    if (!navigator.onLine) return;
+
     this.animateAddToCart();
 
     const animationEnabled = this.dataset.addToCartAnimation === 'true';
@@ -86,6 +111,16 @@ export class AddToCartComponent extends Component {
     }
   }
 
+  /**
+   * Shows whether the selected variant is part of an add waiting for the connection to come back.
+   */
+  updatePendingState = () => {
+    const variantId = this.closest('form')?.querySelector('input[name="id"]');
+    const isPending = variantId instanceof HTMLInputElement && cartStore.hasQueuedAdd(variantId.value);
+
+    this.refs.addToCartButton.classList.toggle('atc-pending', isPending);
+  };
+
   #preloadImage = () => {
     const image = this.dataset.productVariantMedia;
 
@@ -151,16 +186,24 @@ if (!customElements.get('add-to-cart-component')) {
  * @property {HTMLElement | undefined} quantityLabelCartCount - The quantity label cart count element.
  * @property {HTMLElement | undefined} quantityRules - The quantity rules element.
  * @property {HTMLElement | undefined} productFormButtons - The product form buttons container.
+ * @property {HTMLElement | undefined} cartRulesMessage - The cart rules the product doesn't meet in the cart.
+ * @property {HTMLInputElement | undefined} preorderProperty - The line item property of pre-order variants.
  *
  * @extends Component<ProductFormRefs>
  */
-class ProductFormComponent extends Component {
+export class ProductFormComponent extends Component {
   requiredRefs = ['variantId', 'liveRegion'];
   #abortController = new AbortController();
 
   /** @type {number | undefined} */
   #timeout;
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribeFromCart;
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribeFromCartRules;
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -169,33 +212,50 @@ class ProductFormComponent extends Component {
     target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
     target?.addEventListener(ThemeEvents.variantSelected, this.#onVariantSelected, { signal });
 
-    // Listen for cart updates to sync data-cart-quantity
-    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate, { signal });
+    // Sync data-cart-quantity whenever the cart changes
+    this.#unsubscribeFromCart = cartStore.subscribe(this.#onCartChange);
+    this.#unsubscribeFromCartRules = cartRules.subscribe(this.#renderCartRules);
+    this.#renderCartRules();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
     this.#abortController.abort();
+    this.#unsubscribeFromCart?.();
+    this.#unsubscribeFromCartRules?.();
   }
 
   /**
-   * Fetches cart and updates quantity selector for current variant
+   * Shows the cart rules the product doesn't meet in the cart yet, like a minimum quantity or a case pack size.
+   */
+  #renderCartRules = () => {
+    const { cartRulesMessage } = this.refs;
+    const { productId } = this.dataset;
+
+    if (!cartRulesMessage || !productId) return;
+
+    const text = cartRules
+      .getProductViolations(productId)
+      .map(({ message }) => message)
+      .join(' ');
+
+    if (cartRulesMessage.textContent !== text) cartRulesMessage.textContent = text;
+    cartRulesMessage.classList.toggle('hidden', text === '');
+  };
+
+  /**
+   * Updates the quantity selector and label with the cart quantity of the current variant
    * @returns {Promise<number>} The cart quantity for the current variant
    */
-  async #fetchAndUpdateCartQuantity() {
+  async #updateCartQuantity() {
     const variantIdInput = /** @type {HTMLInputElement | null} */ (this.querySelector('input[name="id"]'));
     if (!variantIdInput?.value) return 0;
 
     try {
-      const response = await fetch('/cart.js');
-      const cart = await response.json();
+      if (!cartStore.cart) await cartStore.refresh();
 
-      const cartItem = cart.items.find(
-        /** @param {any} item */
-        (item) => item.variant_id.toString() === variantIdInput.value.toString()
-      );
-      const cartQty = cartItem ? cartItem.quantity : 0;
+      const cartQty = cartStore.getVariantQuantity(variantIdInput.value);
 
       // Use public API to update quantity selector
       const quantitySelector = /** @type {any} */ (this.querySelector('quantity-selector-component'));
@@ -214,14 +274,10 @@ class ProductFormComponent extends Component {
   }
 
   /**
-   * Updates data-cart-quantity when cart is updated from elsewhere
-   * @param {CartUpdateEvent|CartAddEvent} event
+   * Syncs data-cart-quantity whenever the cart changes
    */
-  #onCartUpdate = async (event) => {
-    // Skip if this event came from this component
-    if (event.detail?.sourceId === this.id || event.detail?.data?.source === 'product-form-component') return;
-
-    await this.#fetchAndUpdateCartQuantity();
+  #onCartChange = () => {
+    this.#updateCartQuantity();
   };
 
   /**
@@ -284,110 +340,134 @@ class ProductFormComponent extends Component {
 
     const formData = new FormData(form);
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    let cartItemComponentsSectionIds = [];
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        cartItemComponentsSectionIds.push(item.dataset.sectionId);
-      }
-      formData.append('sections', cartItemComponentsSectionIds.join(','));
-    });
-
-    const fetchCfg = fetchConfig('javascript', { body: formData });
-
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
+    cartStore
+      .add(formData, { sections: getCartItemsSectionIds() })
       .then((response) => {
-        if (response.status) {
-          this.dispatchEvent(
-            new CartErrorEvent(form.getAttribute('id') || '', response.message, response.description, response.errors)
-          );
+        const id = formData.get('id');
 
-          if (!addToCartTextError) return;
-          addToCartTextError.classList.remove('hidden');
+        if (addToCartTextError) {
+          addToCartTextError.classList.add('hidden');
+          addToCartTextError.removeAttribute('aria-live');
+        }
 
-          // Reuse the text node if the user is spam-clicking
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = response.message;
-          } else {
-            const newTextNode = document.createTextNode(response.message);
-            addToCartTextError.appendChild(newTextNode);
-          }
+        if (!id) throw new Error('Form ID is required');
 
-          // Create or get existing error live region for screen readers
-          this.#setLiveRegionText(response.message);
+        // Add aria-live region to inform screen readers that the item was added
+        if (this.refs.addToCartButtonContainer?.refs.addToCartButton) {
+          const addToCartButton = this.refs.addToCartButtonContainer.refs.addToCartButton;
+          const addedTextElement = addToCartButton.querySelector('.add-to-cart-text--added');
+          const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
 
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
+          this.#setLiveRegionText(addedText);
 
-            // Clear the announcement
+          setTimeout(() => {
             this.#clearLiveRegionText();
-          }, ERROR_MESSAGE_DISPLAY_DURATION);
-
-          // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
-          // because our back-end still adds the max allowed amount to the cart.
-          this.dispatchEvent(
-            new CartAddEvent({}, this.id, {
-              didError: true,
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-            })
-          );
+          }, SUCCESS_MESSAGE_DISPLAY_DURATION);
+        }
 
+        this.dispatchEvent(
+          new CartAddEvent({}, id.toString(), {
+            source: 'product-form-component',
+            itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
+            productId: this.dataset.productId,
+            sections: response.sections,
+          })
+        );
+      })
+      .catch((error) => {
+        if (!(error instanceof CartError)) {
+          console.error(error);
           return;
-        } else {
-          const id = formData.get('id');
-
-          if (addToCartTextError) {
-            addToCartTextError.classList.add('hidden');
-            addToCartTextError.removeAttribute('aria-live');
-          }
-
-          if (!id) throw new Error('Form ID is required');
+        }
 
-          // Add aria-live region to inform screen readers that the item was added
-          if (this.refs.addToCartButtonContainer?.refs.addToCartButton) {
-            const addToCartButton = this.refs.addToCartButtonContainer.refs.addToCartButton;
-            const addedTextElement = addToCartButton.querySelector('.add-to-cart-text--added');
-            const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
+        this.dispatchEvent(
+          new CartErrorEvent(form.getAttribute('id') || '', error.message, error.description, error.errors)
+        );
 
-            this.#setLiveRegionText(addedText);
+        if (!addToCartTextError) return;
+        addToCartTextError.classList.remove('hidden');
 
-            setTimeout(() => {
-              this.#clearLiveRegionText();
-            }, SUCCESS_MESSAGE_DISPLAY_DURATION);
-          }
+        // Reuse the text node if the user is spam-clicking
+        const textNode = addToCartTextError.childNodes[2];
+        if (textNode) {
+          textNode.textContent = error.message;
+        } else {
+          const newTextNode = document.createTextNode(error.message);
+          addToCartTextError.appendChild(newTextNode);
+        }
 
-          // Fetch the updated cart to get the actual total quantity for this variant
-          this.#fetchAndUpdateCartQuantity();
+        // Create or get existing error live region for screen readers
+        this.#setLiveRegionText(error.message);
 
-          this.dispatchEvent(
-            new CartAddEvent({}, id.toString(), {
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-              sections: response.sections,
-            })
-          );
-        }
-      })
-      .catch((error) => {
-        console.error(error);
+        this.#timeout = setTimeout(() => {
+          if (!addToCartTextError) return;
+          addToCartTextError.classList.add('hidden');
+
+          // Clear the announcement
+          this.#clearLiveRegionText();
+        }, ERROR_MESSAGE_DISPLAY_DURATION);
+
+        // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
+        // because our back-end still adds the max allowed amount to the cart.
+        this.dispatchEvent(
+          new CartAddEvent({}, this.id, {
+            didError: true,
+            source: 'product-form-component',
+            itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
+            productId: this.dataset.productId,
+          })
+        );
       })
       .finally(() => {
         cartPerformance.measureFromEvent('add:user-action', event);
       });
   }
 
+  /**
+   * Adds several variants to the cart in a single request.
+   *
+   * Dispatches a single `CartAddEvent`, so the cart drawer opens once and every cart items section
+   * is re-rendered once from the sections returned with the response.
+   * @param {CartAddItem[]} items - The variants to add.
+   * @returns {Promise<CartAddResponse>} The added items.
+   */
+  async addItems(items) {
+    const itemCount = items.reduce((total, { quantity = 1 }) => total + quantity, 0);
+    const variantId = items.map(({ id }) => id).join(',');
+
+    try {
+      const response = await cartStore.add({ items }, { sections: getCartItemsSectionIds() });
+
+      this.dispatchEvent(
+        new CartAddEvent({}, variantId, {
+          source: 'product-form-component',
+          itemCount,
+          productId: this.dataset.productId,
+          variantId,
+          sections: response.sections,
+        })
+      );
+
+      return response;
+    } catch (error) {
+      if (error instanceof CartError) {
+        this.dispatchEvent(new CartErrorEvent(this.id, error.message, error.description, error.errors));
+
+        // Some of the items may still have been added, let the cart catch up
+        this.dispatchEvent(
+          new CartAddEvent({}, this.id, {
+            didError: true,
+            source: 'product-form-component',
+            itemCount,
+            productId: this.dataset.productId,
+          })
+        );
+      }
+
+      throw error;
+    }
+  }
+
   /**
    * Updates the quantity label with the current cart quantity
    * @param {number} cartQty - The quantity in cart
@@ -452,6 +532,11 @@ class ProductFormComponent extends Component {
     // Update the variant ID
     variantId.value = event.detail.resource?.id ?? '';
 
+    // Pre-orders are flagged on the cart line
+    const { preorderProperty } = this.refs;
+    const newPreorderProperty = event.detail.data.html.querySelector('[ref="preorderProperty"]');
+    if (preorderProperty && newPreorderProperty) morph(preorderProperty, newPreorderProperty);
+
     if (!currentAddToCartButton && !this.refs.acceleratedCheckoutButtonContainer) return;
 
     // Update the button state
@@ -466,6 +551,10 @@ class ProductFormComponent extends Component {
       if (newAddToCartButton) {
         morph(currentAddToCartButton, newAddToCartButton);
       }
+
+      addToCartButtonContainer.setSoldOut(event.detail.resource != null && !event.detail.resource.available);
+
+      addToCartButtonContainer.updatePendingState();
     }
 
     if (this.refs.acceleratedCheckoutButtonContainer) {
@@ -540,7 +629,7 @@ class ProductFormComponent extends Component {
     }
 
     // Fetch and update cart quantity for the new variant
-    await this.#fetchAndUpdateCartQuantity();
+    await this.#updateCartQuantity();
   };
 
   /**
@@ -1,4 +1,4 @@
-import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { QuantitySelectorUpdateEvent, SellingPlanUpdateEvent, ThemeEvents, VariantUpdateEvent } from '@theme/events';
 
 /**
  * A custom element that displays a product price.
@@ -6,18 +6,36 @@ import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
  * It handles price updates from two different sources:
  * 1. Variant picker (in quick add modal or product page)
  * 2. Swatches variant picker (in product cards)
+ * It also shows the price of the selected selling plan, from the templates rendered for each purchase option,
+ * and the price of the quantity price break the selected quantity falls in, from the templates rendered for each break.
  */
 class ProductPrice extends HTMLElement {
+  /**
+   * The id of the selected selling plan, null for a one-time purchase, or undefined if none was selected yet.
+   * @type {string | null | undefined}
+   */
+  #sellingPlanId;
+
+  /**
+   * The quantity selected in the product form, or undefined if it wasn't changed yet.
+   * @type {number | undefined}
+   */
+  #quantity;
+
   connectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.addEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.addEventListener(ThemeEvents.sellingPlanUpdate, this.updateSellingPlanPrice);
+    closestSection.addEventListener(ThemeEvents.quantitySelectorUpdate, this.updateQuantityPrice);
   }
 
   disconnectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.removeEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.removeEventListener(ThemeEvents.sellingPlanUpdate, this.updateSellingPlanPrice);
+    closestSection.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.updateQuantityPrice);
   }
 
   /**
@@ -36,10 +54,87 @@ class ProductPrice extends HTMLElement {
 
     if (!newPrice || !currentPrice) return;
 
+    // The selling plan and quantity price break prices are rendered for the selected variant
+    const templateSelector = ':scope > template:is([data-selling-plan-id], [data-minimum-quantity])';
+    const newTemplates = newPrice.parentElement?.querySelectorAll(templateSelector) ?? [];
+    for (const template of this.querySelectorAll(templateSelector)) {
+      template.remove();
+    }
+    currentPrice.after(...newTemplates);
+
     if (currentPrice.innerHTML !== newPrice.innerHTML) {
       currentPrice.replaceWith(newPrice);
     }
+
+    this.#renderTemplatePrice();
+  };
+
+  /**
+   * Shows the price of the selected selling plan.
+   * @param {SellingPlanUpdateEvent} event - The selling plan update event.
+   */
+  updateSellingPlanPrice = (event) => {
+    if (event.detail.productId !== this.dataset.productId) return;
+
+    this.#sellingPlanId = event.detail.sellingPlanId;
+    this.#renderTemplatePrice();
+  };
+
+  /**
+   * Shows the price of the quantity price break the new quantity falls in.
+   * @param {QuantitySelectorUpdateEvent} event - The quantity selector update event.
+   */
+  updateQuantityPrice = (event) => {
+    // Cart lines rendered in the section have their own prices
+    if (event.detail.cartLine) return;
+
+    this.#quantity = event.detail.quantity;
+    this.#renderTemplatePrice();
   };
+
+  /**
+   * Gets the template of the price to show for the selected selling plan and quantity.
+   * @returns {Element | null} The template, or null to keep the rendered price.
+   */
+  #getPriceTemplate() {
+    if (this.#sellingPlanId) {
+      return this.querySelector(`:scope > template[data-selling-plan-id="${this.#sellingPlanId}"]`);
+    }
+
+    if (this.#quantity !== undefined) {
+      /** @type {HTMLTemplateElement | null} */
+      let priceBreak = null;
+
+      // The break with the highest minimum the quantity reaches
+      for (const template of this.querySelectorAll(':scope > template[data-minimum-quantity]')) {
+        if (!(template instanceof HTMLTemplateElement)) continue;
+
+        const minimum = Number(template.dataset.minimumQuantity);
+        if (minimum <= this.#quantity && minimum >= Number(priceBreak?.dataset.minimumQuantity ?? 0)) {
+          priceBreak = template;
+        }
+      }
+
+      if (priceBreak) return priceBreak;
+    }
+
+    return this.#sellingPlanId === null ? this.querySelector(':scope > template[data-selling-plan-id=""]') : null;
+  }
+
+  /**
+   * Renders the price of the selected selling plan or quantity price break, or the one-time purchase price.
+   */
+  #renderTemplatePrice() {
+    const template = this.#getPriceTemplate();
+    const currentPrice = this.querySelector('[ref="priceContainer"]');
+    if (!(template instanceof HTMLTemplateElement) || !currentPrice) return;
+
+    const newPrice = template.content.querySelector('[ref="priceContainer"]');
+
+    if (newPrice && currentPrice.innerHTML !== newPrice.innerHTML) {
+      currentPrice.replaceWith(newPrice.cloneNode(true));
+    }
+  }
 }
 
 if (!customElements.get('product-price')) {
@@ -1,3 +1,11 @@
+import { cartStore, CartError, getCartItemsSectionIds } from '@theme/cart-store';
+import { CartAddEvent, CartErrorEvent, ThemeEvents } from '@theme/events';
+
+/**
+ * The maximum number of cart lines used to seed the recommendations for the `cart` intent
+ */
+const MAX_CART_SEEDS = 3;
+
 class ProductRecommendations extends HTMLElement {
   /**
    * The observer for the product recommendations
@@ -56,6 +64,18 @@ class ProductRecommendations extends HTMLElement {
   connectedCallback() {
     this.#intersectionObserver.observe(this);
     this.#mutationObserver.observe(this, { attributes: true });
+
+    if (this.dataset.intent === 'cart') {
+      document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
+      this.addEventListener('click', this.#onClick);
+    }
+  }
+
+  disconnectedCallback() {
+    this.#intersectionObserver.disconnect();
+    this.#mutationObserver.disconnect();
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
+    this.removeEventListener('click', this.#onClick);
   }
 
   /**
@@ -65,6 +85,14 @@ class ProductRecommendations extends HTMLElement {
     const { productId, recommendationsPerformed, sectionId, intent } = this.dataset;
     const id = this.id;
 
+    if (intent === 'cart') {
+      this.#loadCartRecommendations().catch((e) => {
+        if (e instanceof DOMException && e.name === 'AbortError') return;
+        this.#handleError(e);
+      });
+      return;
+    }
+
     if (!productId || !id) {
       throw new Error('Product ID and an ID attribute are required');
     }
@@ -102,6 +130,148 @@ class ProductRecommendations extends HTMLElement {
       });
   }
 
+  /**
+   * Load recommendations seeded from the products in the cart, leaving out the ones already in it
+   */
+  async #loadCartRecommendations() {
+    const { sectionId, cartIntent = 'related', limit } = this.dataset;
+    const id = this.id;
+
+    if (!id) {
+      throw new Error('An ID attribute is required');
+    }
+
+    const cart = cartStore.cart ?? (await cartStore.refresh());
+    const productIds = new Set(cart.items.map((item) => String(item.product_id)));
+    const seeds = [...productIds].slice(0, MAX_CART_SEEDS);
+
+    if (!seeds.length) {
+      this.#clearCartRecommendations();
+      return;
+    }
+
+    this.#activeFetch?.abort();
+    const controller = new AbortController();
+    this.#activeFetch = controller;
+
+    let results;
+    try {
+      results = await Promise.all(
+        seeds.map((seed) => this.#fetchRecommendations(this.#buildUrl(seed, sectionId, cartIntent), controller.signal))
+      );
+    } finally {
+      if (this.#activeFetch === controller) this.#activeFetch = null;
+    }
+
+    /** @type {Map<string, Element>} */
+    const items = new Map();
+    let template = null;
+
+    for (const result of results) {
+      if (!result.success) continue;
+
+      const html = document.createElement('div');
+      html.innerHTML = result.data || '';
+      const recommendations = html.querySelector(`product-recommendations[id="${id}"]`);
+      if (!recommendations) continue;
+
+      template ??= recommendations;
+
+      for (const item of recommendations.querySelectorAll('[data-recommendation-product-id]')) {
+        if (!(item instanceof HTMLElement)) continue;
+
+        const productId = item.dataset.recommendationProductId ?? '';
+        if (productIds.has(productId) || items.has(productId)) continue;
+
+        items.set(productId, item);
+      }
+    }
+
+    const list = template?.querySelector('[data-recommendations-list]');
+    if (!template || !list || !items.size) {
+      this.#clearCartRecommendations();
+      return;
+    }
+
+    list.replaceChildren(...[...items.values()].slice(0, Number(limit) || items.size));
+
+    this.dataset.recommendationsPerformed = 'true';
+    this.innerHTML = template.innerHTML;
+    this.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the cart recommendations when there is nothing to suggest, this is not an error
+   */
+  #clearCartRecommendations() {
+    this.dataset.recommendationsPerformed = 'true';
+    this.classList.add('hidden');
+    this.replaceChildren();
+  }
+
+  /**
+   * Reload the cart recommendations once they've been displayed, otherwise the intersection observer takes care of it
+   */
+  #onCartUpdate = () => {
+    if (this.dataset.recommendationsPerformed !== 'true') return;
+
+    this.#loadRecommendations();
+  };
+
+  /**
+   * Add a recommended product to the cart in one click
+   * @param {MouseEvent} event
+   */
+  #onClick = async (event) => {
+    if (!(event.target instanceof Element)) return;
+
+    const button = event.target.closest('button[data-add-variant-id]');
+    if (!(button instanceof HTMLButtonElement) || button.disabled) return;
+
+    const { addVariantId: variantId = '', productId } = button.dataset;
+
+    button.disabled = true;
+    button.setAttribute('aria-busy', 'true');
+
+    try {
+      const response = await cartStore.add(
+        { items: [{ id: Number(variantId), quantity: 1 }] },
+        { sections: getCartItemsSectionIds() }
+      );
+
+      this.dispatchEvent(
+        new CartAddEvent({}, this.id, {
+          source: 'product-recommendations',
+          itemCount: 1,
+          productId,
+          variantId,
+          sections: response.sections,
+        })
+      );
+    } catch (error) {
+      if (error instanceof CartError) {
+        this.dispatchEvent(new CartErrorEvent(this.id, error.message, error.description, error.errors));
+      } else {
+        console.error(error);
+        this.dispatchEvent(new CartErrorEvent(this.id, Theme.translations.add_to_cart_error ?? '', {}, {}));
+      }
+    } finally {
+      button.disabled = false;
+      button.removeAttribute('aria-busy');
+    }
+  };
+
+  /**
+   * Build the url to fetch the recommendations for a product
+   * @param {string} productId
+   * @param {string | undefined} sectionId
+   * @param {string | undefined} intent
+   * @returns {string}
+   */
+  #buildUrl(productId, sectionId, intent) {
+    return `${this.dataset.url}&product_id=${productId}&section_id=${sectionId}&intent=${intent}`;
+  }
+
   /**
    * Fetches the recommendations and cached the result for future use
    * @param {string} productId
@@ -110,30 +280,38 @@ class ProductRecommendations extends HTMLElement {
    * @returns {Promise<{ success: true, data: string } | { success: false, status: number }>}
    */
   async #fetchCachedRecommendations(productId, sectionId, intent) {
-    const url = `${this.dataset.url}&product_id=${productId}&section_id=${sectionId}&intent=${intent}`;
-
-    const cachedResponse = this.#cachedRecommendations[url];
-    if (cachedResponse) {
-      return { success: true, data: cachedResponse };
-    }
-
     this.#activeFetch?.abort();
     this.#activeFetch = new AbortController();
 
     try {
-      const response = await fetch(url, { signal: this.#activeFetch.signal });
-      if (!response.ok) {
-        return { success: false, status: response.status };
-      }
-
-      const text = await response.text();
-      this.#cachedRecommendations[url] = text;
-      return { success: true, data: text };
+      return await this.#fetchRecommendations(this.#buildUrl(productId, sectionId, intent), this.#activeFetch.signal);
     } finally {
       this.#activeFetch = null;
     }
   }
 
+  /**
+   * Fetches a recommendations url, going through the cache first
+   * @param {string} url
+   * @param {AbortSignal} signal
+   * @returns {Promise<{ success: true, data: string } | { success: false, status: number }>}
+   */
+  async #fetchRecommendations(url, signal) {
+    const cachedResponse = this.#cachedRecommendations[url];
+    if (cachedResponse) {
+      return { success: true, data: cachedResponse };
+    }
+
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      return { success: false, status: response.status };
+    }
+
+    const text = await response.text();
+    this.#cachedRecommendations[url] = text;
+    return { success: true, data: text };
+  }
+
   /**
    * Handle errors in a consistent way
    * @param {Error} error
@@ -0,0 +1,288 @@
+import { Component } from '@theme/component';
+import { cartStore, CartError, getCartItemsSectionIds } from '@theme/cart-store';
+import { CartAddEvent, CartErrorEvent, SavedForLaterUpdateEvent, ThemeEvents } from '@theme/events';
+
+/** @typedef {import('./cart-store').CartItem} CartItem */
+/** @typedef {import('./cart-store').CartAddItem} CartAddItem */
+
+/**
+ * @typedef {Object} SavedItem
+ * @property {string} id - The unique id of the saved item.
+ * @property {number} variantId - The variant id.
+ * @property {number} quantity - The quantity.
+ * @property {Record<string, string>} properties - The line item properties.
+ * @property {string} title - The product title.
+ * @property {string | null} variantTitle - The variant title.
+ * @property {string} url - The url of the variant.
+ * @property {string | null} image - The image url.
+ */
+
+/**
+ * Stores the cart lines saved for later in local storage, so they survive reloads and are shared between tabs.
+ */
+export class SavedForLater {
+  /** @static @constant {string} The key used to store the saved items in local storage */
+  static #STORAGE_KEY = 'savedForLater';
+  /** @static @constant {number} The maximum number of items to store */
+  static #MAX_ITEMS = 20;
+
+  static {
+    window.addEventListener('storage', (event) => {
+      if (event.key !== this.#STORAGE_KEY && event.key !== null) return;
+
+      document.dispatchEvent(new SavedForLaterUpdateEvent(this.getItems().length));
+    });
+  }
+
+  /**
+   * Saves a cart line for later, merging it with an identical saved item.
+   * @param {CartItem} item - The cart line.
+   */
+  static addItem(item) {
+    const properties = Object.fromEntries(
+      Object.entries(item.properties ?? {}).filter(([, value]) => value != null && value !== '')
+    );
+    const savedItems = this.getItems();
+    const existingItem = savedItems.find(
+      (savedItem) =>
+        savedItem.variantId === item.variant_id && JSON.stringify(savedItem.properties) === JSON.stringify(properties)
+    );
+
+    if (existingItem) {
+      existingItem.quantity += item.quantity;
+    } else {
+      savedItems.unshift({
+        id: `${item.variant_id}-${Date.now()}`,
+        variantId: item.variant_id,
+        quantity: item.quantity,
+        properties,
+        title: item.product_title,
+        variantTitle: item.variant_title,
+        url: item.url,
+        image: item.image,
+      });
+    }
+
+    this.#setItems(savedItems.slice(0, this.#MAX_ITEMS));
+  }
+
+  /**
+   * Removes an item from the list.
+   * @param {string} id - The id of the saved item.
+   */
+  static removeItem(id) {
+    this.#setItems(this.getItems().filter((item) => item.id !== id));
+  }
+
+  /**
+   * Retrieves the saved items from local storage.
+   * @returns {SavedItem[]} The saved items, most recent first.
+   */
+  static getItems() {
+    try {
+      const items = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+      return Array.isArray(items) ? items : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Stores the saved items and notifies the lists of the page. Other tabs are notified by the `storage` event.
+   * @param {SavedItem[]} items - The saved items.
+   */
+  static #setItems(items) {
+    try {
+      if (items.length) {
+        localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(items));
+      } else {
+        localStorage.removeItem(this.#STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn('Unable to save the items for later', error);
+    }
+
+    document.dispatchEvent(new SavedForLaterUpdateEvent(items.length));
+  }
+}
+
+/**
+ * A custom element that renders the cart lines saved for later and moves them back to the cart.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} list - The list of saved items.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a saved item.
+ * @property {HTMLElement} count - The number of saved items.
+ * @property {HTMLElement} error - The error message element.
+ *
+ * @extends {Component<Refs>}
+ */
+class SavedForLaterComponent extends Component {
+  requiredRefs = ['list', 'itemTemplate', 'count', 'error'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.savedForLaterUpdate, this.#render);
+    this.#render();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The list is only known to this browser, so it has to be rendered again after the server markup is morphed in
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.savedForLaterUpdate, this.#render);
+  }
+
+  /**
+   * Moves a saved item back to the cart.
+   * @param {MouseEvent & { target: HTMLButtonElement }} event - The click event.
+   */
+  async moveToCart(event) {
+    const button = event.target;
+    const item = this.#getSavedItem(button);
+
+    if (!item) return;
+
+    /** @type {CartAddItem} */
+    const cartItem = { id: item.variantId, quantity: item.quantity };
+    if (Object.keys(item.properties).length) cartItem.properties = item.properties;
+
+    this.#showError('');
+    button.disabled = true;
+
+    try {
+      const response = await cartStore.add({ items: [cartItem] }, { sections: getCartItemsSectionIds() });
+
+      SavedForLater.removeItem(item.id);
+
+      this.dispatchEvent(
+        new CartAddEvent({}, this.id, {
+          source: 'saved-for-later-component',
+          itemCount: item.quantity,
+          variantId: String(item.variantId),
+          sections: response.sections,
+        })
+      );
+    } catch (error) {
+      if (error instanceof CartError) {
+        this.dispatchEvent(new CartErrorEvent(this.id, error.message, error.description, error.errors));
+        this.#showError(error.message);
+      } else {
+        console.error(error);
+        this.#showError(Theme.translations.add_to_cart_error ?? '');
+      }
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Removes a saved item from the list.
+   * @param {MouseEvent & { target: HTMLButtonElement }} event - The click event.
+   */
+  removeItem(event) {
+    const item = this.#getSavedItem(event.target);
+
+    if (item) SavedForLater.removeItem(item.id);
+  }
+
+  /**
+   * Gets the saved item of a list row.
+   * @param {Element} element - An element of the row.
+   * @returns {SavedItem | undefined}
+   */
+  #getSavedItem(element) {
+    const row = element.closest('[data-saved-item-id]');
+    const id = row instanceof HTMLElement ? row.dataset.savedItemId : undefined;
+
+    return SavedForLater.getItems().find((item) => item.id === id);
+  }
+
+  /**
+   * Renders the saved items from local storage.
+   */
+  #render = () => {
+    const { list, itemTemplate, count } = this.refs;
+    const items = SavedForLater.getItems();
+
+    list.replaceChildren(...items.map((item) => this.#renderItem(item, itemTemplate)));
+    count.textContent = String(items.length);
+    this.hidden = items.length === 0;
+  };
+
+  /**
+   * Renders a saved item from the template.
+   * @param {SavedItem} item - The saved item.
+   * @param {HTMLTemplateElement} template - The template of a saved item.
+   * @returns {DocumentFragment}
+   */
+  #renderItem(item, template) {
+    const fragment = /** @type {DocumentFragment} */ (template.content.cloneNode(true));
+    const row = fragment.querySelector('[data-saved-item-id]');
+    const image = fragment.querySelector('img');
+    const properties = Object.entries(item.properties).filter(([name]) => !name.startsWith('_'));
+
+    if (row instanceof HTMLElement) row.dataset.savedItemId = item.id;
+
+    for (const link of fragment.querySelectorAll('a')) {
+      link.href = item.url;
+    }
+
+    if (image && item.image) {
+      image.src = item.image;
+      image.alt = item.title;
+    } else {
+      image?.remove();
+    }
+
+    setText(fragment, '[data-saved-item-title]', item.title);
+    setText(fragment, '[data-saved-item-variant]', item.variantTitle ?? '');
+    setText(
+      fragment,
+      '[data-saved-item-properties]',
+      properties.map(([name, value]) => `${name}: ${value}`).join(', ')
+    );
+    setText(fragment, '[data-saved-item-quantity]', String(item.quantity));
+
+    return fragment;
+  }
+
+  /**
+   * Shows an error message, or hides it when the message is empty.
+   * @param {string} message - The error message.
+   */
+  #showError(message) {
+    const { error } = this.refs;
+
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+  }
+}
+
+/**
+ * Sets the text of an element of a fragment, removing the element when the text is empty.
+ * @param {DocumentFragment} fragment - The fragment.
+ * @param {string} selector - The selector of the element.
+ * @param {string} text - The text.
+ */
+function setText(fragment, selector, text) {
+  const element = fragment.querySelector(selector);
+  if (!element) return;
+
+  if (text) {
+    element.textContent = text;
+  } else {
+    element.remove();
+  }
+}
+
+if (!customElements.get('saved-for-later-component')) {
+  customElements.define('saved-for-later-component', SavedForLaterComponent);
+}
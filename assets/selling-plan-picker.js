@@ -0,0 +1,71 @@
+import { Component } from '@theme/component';
+import { SellingPlanUpdateEvent, ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { morph } from '@theme/morph';
+
+/**
+ * A custom element that lets the shopper pick a selling plan, like a subscription, for the product form.
+ *
+ * The options are rendered for the selected variant, so the picker is morphed with the markup of every new variant.
+ * The variant picker requests that markup with the selected plan, which keeps it selected when the new variant
+ * can be bought with it.
+ */
+class SellingPlanPickerComponent extends Component {
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    const target = this.closest('.shopify-section, dialog, product-card');
+    target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
+  /**
+   * The id of the selected selling plan.
+   * @returns {string | null} The id, or null for a one-time purchase.
+   */
+  get sellingPlanId() {
+    const input = this.querySelector('input[name="selling_plan"]:checked');
+
+    return input instanceof HTMLInputElement && input.value ? input.value : null;
+  }
+
+  /**
+   * Lets the price know a selling plan was selected.
+   */
+  select() {
+    this.dispatchEvent(new SellingPlanUpdateEvent(this.sellingPlanId, this.dataset.productId ?? ''));
+  }
+
+  /**
+   * Renders the options of the new variant.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const newPicker = event.detail.data.html.querySelector('selling-plan-picker-component');
+    if (!newPicker) return;
+
+    const previousSellingPlanId = this.sellingPlanId;
+
+    morph(this, newPicker);
+
+    // The previous plan isn't available for the new variant, so the price has to follow the new selection
+    if (this.sellingPlanId !== previousSellingPlanId) this.select();
+  };
+}
+
+if (!customElements.get('selling-plan-picker-component')) {
+  customElements.define('selling-plan-picker-component', SellingPlanPickerComponent);
+}
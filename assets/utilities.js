@@ -242,11 +242,11 @@ export function normalizeString(str) {
 }
 
 /**
- * Format a money value
- * @param {string} value The value to format
- * @returns {string} The formatted value
+ * Normalize a money value typed with either decimal separator, like 1.000,50 or 1,000.50, to a decimal number
+ * @param {string} value The value to normalize
+ * @returns {string} The normalized value, like 1000.50
  */
-export function formatMoney(value) {
+export function normalizeMoneyValue(value) {
   let valueWithNoSpaces = value.replace(' ', '');
   if (valueWithNoSpaces.indexOf(',') === -1) return valueWithNoSpaces;
   if (valueWithNoSpaces.indexOf(',') < valueWithNoSpaces.indexOf('.')) return valueWithNoSpaces.replace(',', '');
@@ -257,6 +257,206 @@ export function formatMoney(value) {
   return valueWithNoSpaces;
 }
 
+/**
+ * Format an amount of cents with a Shopify money format, like the `money` Liquid filter followed by `strip_html`
+ * Falls back to the Intl currency format when there is no money format, and to an Intl number for unknown tokens.
+ * @param {number} cents The amount to format, in cents
+ * @param {string} [currency] The ISO code of the currency, defaults to the active currency
+ * @param {string} [format] The money format, like ${{amount}}, defaults to the shop's money format
+ * @returns {string} The formatted amount
+ */
+export function formatMoney(cents, currency = Shopify.currency.active, format = Theme.settings.money_format) {
+  if (!format || !MONEY_FORMAT_TOKEN.test(format)) return formatCurrency(cents, currency);
+
+  const formatted = format.replace(new RegExp(MONEY_FORMAT_TOKEN, 'g'), (_, token) => {
+    if (token === 'currency') return currency;
+
+    let thousandsSeparator = ',';
+    let decimalSeparator = '.';
+    let precision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
+
+    if (token === 'amount') {
+      // Check first since it's the most common, use defaults.
+    } else if (token === 'amount_no_decimals') {
+      precision = 0;
+    } else if (token === 'amount_with_comma_separator') {
+      thousandsSeparator = '.';
+      decimalSeparator = ',';
+    } else if (token === 'amount_no_decimals_with_comma_separator') {
+      // Weirdly, this is correct. It uses amount_with_comma_separator's
+      // behaviour but removes decimals, resulting in an unintuitive
+      // output that can't possibly include commas, despite the name.
+      thousandsSeparator = '.';
+      precision = 0;
+    } else if (token === 'amount_no_decimals_with_space_separator') {
+      thousandsSeparator = ' ';
+      precision = 0;
+    } else if (token === 'amount_with_space_separator') {
+      thousandsSeparator = ' ';
+      decimalSeparator = ',';
+    } else if (token === 'amount_with_period_and_space_separator') {
+      thousandsSeparator = ' ';
+      decimalSeparator = '.';
+    } else if (token === 'amount_with_apostrophe_separator') {
+      thousandsSeparator = "'";
+      decimalSeparator = '.';
+    } else {
+      return new Intl.NumberFormat(Shopify.locale, {
+        minimumFractionDigits: precision,
+        maximumFractionDigits: precision,
+      }).format(cents / 100);
+    }
+
+    return formatCents(cents, thousandsSeparator, decimalSeparator, precision);
+  });
+
+  // Money formats can hold markup and entities, like <span class="money">&euro;{{amount}}</span>
+  if (!/[<&]/.test(formatted)) return formatted;
+
+  return new DOMParser().parseFromString(formatted, 'text/html').body.textContent ?? formatted;
+}
+
+/**
+ * Format an amount of cents with the given separators
+ * @param {number} cents The amount to format, in cents (hundredths of one major currency unit)
+ * @param {string} thousandsSeparator The thousands separator
+ * @param {string} decimalSeparator The decimal separator
+ * @param {number} precision The number of decimals
+ * @returns {string} The formatted amount
+ */
+function formatCents(cents, thousandsSeparator, decimalSeparator, precision) {
+  const roundedNumber = (cents / 100).toFixed(precision);
+
+  let [a, b] = roundedNumber.split('.');
+  if (!a) a = '0';
+  if (!b) b = '';
+
+  // Split by groups of 3 digits
+  a = a.replace(/\d(?=(\d\d\d)+(?!\d))/g, (digit) => digit + thousandsSeparator);
+
+  return precision <= 0 ? a : a + decimalSeparator + b.padEnd(precision, '0');
+}
+
+/**
+ * Matches the tokens of a money format, like {{amount_with_comma_separator}}
+ */
+const MONEY_FORMAT_TOKEN = /{{\s*(\w+)\s*}}/;
+
+/**
+ * Default currency decimals used in most currencies
+ * @constant {number}
+ */
+const DEFAULT_CURRENCY_DECIMALS = 2;
+
+/**
+ * Decimal precision for currencies that have a non-default precision
+ * @type {Record<string, number>}
+ */
+const CURRENCY_DECIMALS = {
+  BHD: 3,
+  BIF: 0,
+  BYR: 0,
+  CLF: 4,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  IQD: 3,
+  ISK: 0,
+  JOD: 3,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  KWD: 3,
+  LYD: 3,
+  MRO: 5,
+  OMR: 3,
+  PYG: 0,
+  RWF: 0,
+  TND: 3,
+  UGX: 0,
+  UYI: 0,
+  UYW: 4,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XAG: 0,
+  XAU: 0,
+  XBA: 0,
+  XBB: 0,
+  XBC: 0,
+  XBD: 0,
+  XDR: 0,
+  XOF: 0,
+  XPD: 0,
+  XPF: 0,
+  XPT: 0,
+  XSU: 0,
+  XTS: 0,
+  XUA: 0,
+};
+
+/**
+ * Format an amount of cents in a currency
+ * @param {number} cents The amount to format, in cents
+ * @param {string} [currency] The ISO code of the currency, defaults to the active currency
+ * @returns {string} The formatted amount
+ */
+export function formatCurrency(cents, currency = Shopify.currency.active) {
+  return new Intl.NumberFormat(Shopify.locale, { style: 'currency', currency }).format(cents / 100);
+}
+
+/**
+ * @typedef {Object} UnitPriceMeasurement
+ * @property {number} reference_value - The quantity the unit price is for, like 100 in €4.20/100g.
+ * @property {string} reference_unit - The unit the unit price is for, like g in €4.20/100g.
+ */
+
+/**
+ * Format a unit price with its measurement, like the `unit_price_with_measurement` Liquid filter
+ * @param {number} cents The unit price, in cents
+ * @param {UnitPriceMeasurement} measurement The unit price measurement
+ * @param {string} [currency] The ISO code of the currency, defaults to the active currency
+ * @param {string} [format] The money format, defaults to the shop's money format
+ * @returns {string} The formatted unit price, like €4.20/100g
+ */
+export function formatUnitPrice(cents, measurement, currency, format) {
+  const { reference_value: referenceValue, reference_unit: referenceUnit } = measurement;
+
+  return `${formatMoney(cents, currency, format)}/${referenceValue === 1 ? '' : referenceValue}${referenceUnit}`;
+}
+
+/**
+ * Format a date as the value of a date input (YYYY-MM-DD), in local time
+ * @param {Date} date The date to format
+ * @returns {string} The formatted date
+ */
+export function formatDateInputValue(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Restrict a date input to a range of days from today
+ * @param {HTMLInputElement} input The date input
+ * @param {Object} [options]
+ * @param {number} [options.minDays] The number of days from today to the earliest date, defaults to today
+ * @param {number} [options.maxDays] The number of days from today to the latest date
+ * @returns {{ min: Date, max: Date }} The earliest and latest dates
+ */
+export function setDateConstraints(input, { minDays = 0, maxDays = 90 } = {}) {
+  const min = new Date();
+  const max = new Date();
+  min.setDate(min.getDate() + minDays);
+  max.setDate(max.getDate() + Math.max(minDays, maxDays));
+
+  input.setAttribute('min', formatDateInputValue(min));
+  input.setAttribute('max', formatDateInputValue(max));
+
+  return { min, max };
+}
+
 /**
  * Check if the document is ready/loaded and call the callback when it is.
  * @param {() => void} callback The function to call when the document is ready.
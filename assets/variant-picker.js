@@ -202,6 +202,10 @@ export default class VariantPicker extends Component {
       }
     }
 
+    // Keep the selected selling plan, so the new variant is rendered with its price for that plan
+    const sellingPlanId = this.#getSelectedSellingPlanId();
+    if (sellingPlanId) params.push(`selling_plan=${sellingPlanId}`);
+
     // If variant-picker is a child of quick-add-component or swatches-variant-picker-component, we need to append section_id=section-rendering-product-card to the URL
     if (this.closest('quick-add-component') || this.closest('swatches-variant-picker-component')) {
       if (productUrl?.includes('?')) {
@@ -212,6 +216,19 @@ export default class VariantPicker extends Component {
     return `${productUrl}?${params.join('&')}`;
   }
 
+  /**
+   * Gets the selling plan selected for the product in the product form.
+   * @returns {string | null} The selling plan id, or null for a one-time purchase.
+   */
+  #getSelectedSellingPlanId() {
+    const picker = this.closest('.shopify-section, dialog, product-card')?.querySelector(
+      `selling-plan-picker-component[data-product-id="${this.dataset.productId}"]`
+    );
+    const input = picker?.querySelector('input[name="selling_plan"]:checked');
+
+    return input instanceof HTMLInputElement && input.value ? input.value : null;
+  }
+
   /**
    * Fetches the updated section.
    * @param {string} requestUrl - The request URL.
@@ -230,7 +247,7 @@ export default class VariantPicker extends Component {
         // Defer is only useful for the initial rendering of the page. Remove it here.
         html.querySelector('overflow-list[defer]')?.removeAttribute('defer');
 
-        const textContent = html.querySelector(`variant-picker script[type="application/json"]`)?.textContent;
+        const textContent = html.querySelector(this.variantDataSelector)?.textContent;
         if (!textContent) return;
 
         if (shouldMorphMain) {
@@ -313,6 +330,14 @@ export default class VariantPicker extends Component {
     morph(main, newMain);
   }
 
+  /**
+   * Gets the selector of the script holding the selected variant in a section response.
+   * @returns {string} The selector.
+   */
+  get variantDataSelector() {
+    return 'variant-picker script[type="application/json"]';
+  }
+
   /**
    * Gets the selected option.
    * @returns {HTMLInputElement | HTMLOptionElement | undefined} The selected option.
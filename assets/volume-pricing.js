@@ -0,0 +1,114 @@
+import { Component } from '@theme/component';
+import { QuantitySelectorUpdateEvent, ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { morph } from '@theme/morph';
+import { formatMoney } from '@theme/utilities';
+
+/**
+ * A custom element that shows the quantity price breaks of the selected variant as a table.
+ *
+ * The break the selected quantity falls in is highlighted, and the total for that quantity is updated
+ * as the quantity selector of the section changes, without fetching the section again.
+ *
+ * @typedef {object} VolumePricingRefs
+ * @property {HTMLTableRowElement[]} [priceBreaks] - The rows of the price breaks, lowest minimum first.
+ * @property {HTMLElement} [total] - The total for the selected quantity.
+ *
+ * @extends {Component<VolumePricingRefs>}
+ */
+class VolumePricingComponent extends Component {
+  /**
+   * The quantity selected in the product form.
+   * @type {number}
+   */
+  #quantity = 1;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const closestSection = this.closest('.shopify-section, dialog');
+    closestSection?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+    closestSection?.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantityUpdate);
+
+    const quantityInput = closestSection?.querySelector('quantity-selector-component input[name="quantity"]');
+    if (quantityInput instanceof HTMLInputElement) this.#quantity = Number(quantityInput.value) || 1;
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    const closestSection = this.closest('.shopify-section, dialog');
+    closestSection?.removeEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+    closestSection?.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantityUpdate);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#render();
+  }
+
+  /**
+   * Renders the price breaks of the new variant.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.target instanceof HTMLElement && event.target.dataset.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const newVolumePricing = event.detail.data.html.querySelector(
+      `volume-pricing-component[data-block-id="${this.dataset.blockId}"]`
+    );
+
+    if (newVolumePricing) morph(this, newVolumePricing);
+  };
+
+  /**
+   * Highlights the price break of the new quantity.
+   * @param {QuantitySelectorUpdateEvent} event - The quantity selector update event.
+   */
+  #onQuantityUpdate = (event) => {
+    // Cart lines rendered in the section have their own prices
+    if (event.detail.cartLine) return;
+
+    this.#quantity = event.detail.quantity;
+    this.#render();
+  };
+
+  /**
+   * Highlights the price break the selected quantity falls in and shows the total for that quantity.
+   */
+  #render() {
+    const { priceBreaks = [], total } = this.refs;
+
+    /** @type {HTMLTableRowElement | undefined} */
+    let activeBreak;
+
+    for (const row of priceBreaks) {
+      if (Number(row.dataset.minimumQuantity) <= this.#quantity) activeBreak = row;
+    }
+
+    for (const row of priceBreaks) {
+      const isActive = row === activeBreak;
+
+      row.classList.toggle('volume-pricing__break--active', isActive);
+      row.toggleAttribute('aria-current', isActive);
+    }
+
+    if (!total || !activeBreak) return;
+
+    const price = Number(activeBreak.dataset.price) * this.#quantity;
+
+    total.textContent = (this.dataset.totalTemplate ?? '')
+      .replace('[quantity]', String(this.#quantity))
+      .replace('[total]', formatMoney(price, this.dataset.currency));
+  }
+}
+
+if (!customElements.get('volume-pricing-component')) {
+  customElements.define('volume-pricing-component', VolumePricingComponent);
+}